@@ -0,0 +1,25 @@
+// sync-mediapipe-assets.js
+// Copies Face Mesh runtime files that are missing from public/mediapipe/face_mesh
+// (the .wasm binaries are not vendored) from node_modules so the app never
+// needs a CDN. Runs on postinstall; existing files are left untouched.
+
+import { copyFileSync, existsSync, mkdirSync, readdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const src = join(root, "node_modules", "@mediapipe", "face_mesh");
+const dest = join(root, "public", "mediapipe", "face_mesh");
+
+if (!existsSync(src)) {
+  console.warn("[sync-mediapipe-assets] @mediapipe/face_mesh is not installed; skipping");
+  process.exit(0);
+}
+
+mkdirSync(dest, { recursive: true });
+for (const file of readdirSync(src)) {
+  const target = join(dest, file);
+  if (existsSync(target)) continue;
+  copyFileSync(join(src, file), target);
+  console.log(`[sync-mediapipe-assets] copied ${file}`);
+}
@@ -0,0 +1,130 @@
+// upload-receiver.js
+// Reference receiver for the in-app chunk uploader (src/sessionUploader.js), for local testing:
+//   npm run receiver                  -> http://localhost:8787/upload, files under ./uploads
+//   PORT=9000 UPLOAD_DIR=/data npm run receiver
+// Start the app with ?upload=http://localhost:8787/upload
+//
+// Layout: uploads/<session_id>/samples/<from>-<to>.json
+//         uploads/<session_id>/events/<from>-<to>.json
+//         uploads/<session_id>/raw_gaze/<from>-<to>.json
+//         uploads/<session_id>/quality/<from>-<to>.json
+//         uploads/<session_id>/audio_markers/<from>-<to>.json
+//         uploads/<session_id>/video_frames/<from>-<to>.json
+//         uploads/<session_id>/blinks/<from>-<to>.json
+//         uploads/<session_id>/audio/<segment_id>/<seq>.<ext>
+//         uploads/<session_id>/audio_segment/<segment_id>.<start|stop>.json
+// A chunk id that was already stored is answered with 409, which the uploader treats as delivered.
+
+import { createServer } from "node:http";
+import { existsSync, mkdirSync, writeFileSync } from "node:fs";
+import { dirname, join, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const PORT = Number(process.env.PORT) || 8787;
+const UPLOAD_DIR = resolve(process.env.UPLOAD_DIR || join(root, "uploads"));
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, X-Session-Id, X-Chunk-Id, X-Chunk-Kind, X-Audio-Segment-Id, X-Chunk-Seq",
+};
+
+// Ids come from the client; keep them to a safe file-name alphabet and reject "", "." / ".."
+// and other dot names so an id can never climb out of its directory
+function safe(s) {
+  const name = String(s ?? "").replace(/[^A-Za-z0-9_.-]/g, "_");
+  if (!name || name.startsWith(".")) throw new Error(`invalid id "${s ?? ""}"`);
+  return name;
+}
+
+function extFor(contentType) {
+  if (contentType.includes("ogg")) return "ogg";
+  if (contentType.includes("wav")) return "wav";
+  if (contentType.includes("webm")) return "webm";
+  return "bin";
+}
+
+const ROW_KINDS = new Set(["samples", "events", "raw_gaze", "quality", "audio_markers", "video_frames", "blinks"]);
+
+function targetPath(headers, body) {
+  const sessionId = safe(headers["x-session-id"]);
+  const kind = headers["x-chunk-kind"];
+  const dir = join(UPLOAD_DIR, sessionId);
+  if (ROW_KINDS.has(kind)) {
+    const { from, to } = JSON.parse(body.toString("utf8"));
+    return join(dir, kind, `${safe(from)}-${safe(to)}.json`);
+  }
+  if (kind === "audio") {
+    const ext = extFor(headers["content-type"] || "");
+    return join(dir, "audio", safe(headers["x-audio-segment-id"]), `${safe(headers["x-chunk-seq"])}.${ext}`);
+  }
+  if (kind === "audio_segment") {
+    const { segment } = JSON.parse(body.toString("utf8"));
+    const phase = segment.stopEpoch != null ? "stop" : "start";
+    return join(dir, "audio_segment", `${safe(segment.id)}.${phase}.json`);
+  }
+  return join(dir, safe(kind), `${safe(headers["x-chunk-id"])}.bin`);
+}
+
+// Second line of defence: the resolved path must stay under UPLOAD_DIR
+function checkedPath(file) {
+  const full = resolve(file);
+  if (!full.startsWith(UPLOAD_DIR + sep)) throw new Error("chunk path outside the upload directory");
+  return full;
+}
+
+function reply(res, status, payload) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+const server = createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+  if (req.method !== "POST") {
+    reply(res, 405, { error: "POST chunks to this endpoint" });
+    return;
+  }
+  if (!req.headers["x-session-id"] || !req.headers["x-chunk-id"]) {
+    reply(res, 400, { error: "missing X-Session-Id or X-Chunk-Id" });
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on("data", (c) => {
+    size += c.length;
+    if (size > MAX_BODY_BYTES) {
+      reply(res, 413, { error: "chunk too large" });
+      req.destroy();
+      return;
+    }
+    chunks.push(c);
+  });
+  req.on("end", () => {
+    if (res.writableEnded) return;
+    try {
+      const body = Buffer.concat(chunks);
+      const file = checkedPath(targetPath(req.headers, body));
+      if (existsSync(file)) {
+        reply(res, 409, { duplicate: true, chunk_id: req.headers["x-chunk-id"] });
+        return;
+      }
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, body);
+      console.log(`[upload-receiver] ${req.headers["x-chunk-id"]} -> ${file} (${body.length} bytes)`);
+      reply(res, 201, { stored: true, chunk_id: req.headers["x-chunk-id"] });
+    } catch (e) {
+      reply(res, 400, { error: String(e?.message || e) });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[upload-receiver] listening on http://localhost:${PORT}/upload, writing to ${UPLOAD_DIR}`);
+});
@@ -0,0 +1,96 @@
+import React, { useState } from "react";
+
+const COLUMNS = [
+  ["content_id", "AOI"],
+  ["dwell_ms", "Dwell ms"],
+  ["dwell_share", "Share"],
+  ["time_to_first_fixation_ms", "TTFF ms"],
+  ["first_fixation_duration_ms", "First fix ms"],
+  ["fixation_count", "Fixations"],
+  ["revisit_count", "Revisits"],
+];
+
+export default function AoiSummary({ rows, onClose }) {
+  const questionIds = Array.from(new Set(rows.map((r) => r.question_id)));
+  const [questionId, setQuestionId] = useState(questionIds[0] ?? "");
+  const visible = rows.filter((r) => r.question_id === questionId);
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>AOI metrics</div>
+        <select value={questionId} onChange={(e) => setQuestionId(e.target.value)} style={selectStyle}>
+          {questionIds.map((id) => (
+            <option key={id} value={id}>
+              {id || "(no question)"}
+            </option>
+          ))}
+        </select>
+        <div style={{ flex: 1 }} />
+        <button style={btnStyle} onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {!rows.length && <div style={{ marginTop: 10, opacity: 0.8 }}>No gaze samples recorded.</div>}
+
+      {!!rows.length && (
+        <table style={{ marginTop: 10, borderSpacing: "12px 3px", fontSize: 12 }}>
+          <thead>
+            <tr style={{ textAlign: "left", opacity: 0.8 }}>
+              {COLUMNS.map(([key, label]) => (
+                <th key={key}>{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((r) => (
+              <tr key={r.content_id}>
+                {COLUMNS.map(([key]) => (
+                  <td key={key}>
+                    {key === "dwell_share" && r[key] !== "" ? `${(Number(r[key]) * 100).toFixed(1)}%` : r[key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const panelStyle = {
+  position: "fixed",
+  top: 60,
+  right: 8,
+  zIndex: 10001,
+  maxHeight: "70vh",
+  overflow: "auto",
+  padding: 12,
+  borderRadius: 12,
+  background: "rgba(0,0,0,0.85)",
+  border: "1px solid rgba(255,255,255,0.12)",
+  color: "white",
+  fontFamily: "system-ui",
+  fontSize: 12,
+};
+
+const selectStyle = {
+  fontSize: 12,
+  padding: "4px 6px",
+  borderRadius: 8,
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.18)",
+};
+
+const btnStyle = {
+  fontSize: 12,
+  padding: "6px 8px",
+  borderRadius: 9,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  cursor: "pointer",
+};
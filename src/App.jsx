@@ -2,49 +2,205 @@ import React from "react";
 import GazeRecorder from "./GazeRecorder";
 import QuestionScreen from "./QuestionScreen";
 import psychometricQuestions from "./psychometric_questions.json";
+import { downloadCsv } from "./csv";
+import { gazeProviderFromQuery } from "./gazeProviders";
+import SessionRecovery from "./SessionRecovery";
+import { epochToPerf, perfToEpoch, updateSession } from "./sessionStore";
+import { csvFile, downloadSessionBundle } from "./sessionBundle";
+import { DEFAULT_WAV_SAMPLE_RATE } from "./audioWav";
+import { DEFAULT_VAD_OPTIONS } from "./voiceActivity";
+import {
+  analysisFiles,
+  analyzeClipSpeech,
+  analyzeSession,
+  audioExportFiles,
+  audioManifest,
+  calibrationReportRows,
+  clipFromStoredSegment,
+  clipToWav,
+  tableFiles,
+  webcamFileName,
+  webcamManifestEntry,
+} from "./sessionExport";
+import { bareQuestionId, parseQuestionBank } from "./questionBank";
+
+const EMPTY_DEMOGRAPHICS = {
+  name: "",
+  age: "",
+  gender: "",
+  educationLevel: "",
+  lastGradeDivision: "",
+};
+
+function psychometricCsvRows(sessionId, responses, base) {
+  return Object.values(responses).map((r) => ({
+    session_id: sessionId,
+    ts_ms: base != null ? Math.round((r.ts ?? 0) - base) : "",
+    question_id: r.question_id,
+    answer_option_index: r.answer_option_index ?? "",
+    answer_option_text: r.answer_option_text ?? "",
+  }));
+}
+
+function demographicsCsvRows(sessionId, demographics) {
+  return [
+    {
+      session_id: sessionId,
+      name: demographics.name.trim(),
+      age: demographics.age.trim(),
+      gender: demographics.gender.trim(),
+      education_level: demographics.educationLevel.trim(),
+      last_grade_division: demographics.lastGradeDivision.trim(),
+    },
+  ];
+}
+
+// Resume on the last question seen; sessions recorded before gaze rows carried the bare
+// question id have the prompt's content id ("question_<id>") instead
+function lastQuestionId(rows) {
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const id = rows[i].question_id;
+    if (id && rows[i].event_type === "gaze") return bareQuestionId(id);
+  }
+  return undefined;
+}
+
+// Bundles what IndexedDB holds for a session that was never exported, with the same builders
+// (and the same analysis and audio settings) as the live export; an interrupted clip that cannot
+// be decoded gets vad_error / wav_error
+async function exportStoredSession({ session, rows, audioSegments, webcamVideos = [] }) {
+  const sid = session.id;
+  const form = session.form || {};
+  const base = session.recordingStartedAtEpoch ?? 0;
+  const audio = { mode: "segments", exportWav: true, wavSampleRate: DEFAULT_WAV_SAMPLE_RATE, input: null, ...session.audio };
+  const clips = audioSegments.map((seg) => clipFromStoredSegment(seg, base, sid));
+  const videos = webcamVideos.filter((v) => v.blob.size > 0);
+  const analysis = analyzeSession(rows.samples || [], session.eventDetection ?? undefined);
+  const files = [
+    ...tableFiles(sid, rows),
+    csvFile(`calibration_${sid}.csv`, calibrationReportRows(sid, session.calibration)),
+    ...analysisFiles(sid, analysis),
+    ...(await audioExportFiles(sid, clips, {
+      samples: rows.samples || [],
+      analyze: (clip) => analyzeClipSpeech(clip, session.voiceActivityDetection),
+      toWav: audio.exportWav ? (clip) => clipToWav(clip, audio.wavSampleRate) : null,
+      markers: rows.audio_markers ?? [],
+    })),
+    form.psychometric &&
+      csvFile(
+        "psychometric_responses.csv",
+        psychometricCsvRows(sid, form.psychometric.responses || {}, form.psychometric.startedAtEpoch)
+      ),
+    form.demographics && csvFile("demographics.csv", demographicsCsvRows(sid, form.demographics)),
+    ...videos.map((v) => ({ name: webcamFileName(v), data: v.blob })),
+  ];
+  return downloadSessionBundle(sid, files, {
+    recovered: true,
+    recording_started_at: session.recordingStartedAtEpoch ? new Date(base).toISOString() : null,
+    sample_hz: session.sampleHz ?? null,
+    gaze_provider: session.gazeProvider ?? "",
+    row_count: rows.samples?.length ?? 0,
+    interaction_event_count: rows.events?.length ?? 0,
+    raw_gaze_count: rows.raw_gaze?.length ?? 0,
+    audio_clip_count: audioSegments.length,
+    event_detection: analysis.options,
+    voice_activity_detection: { ...DEFAULT_VAD_OPTIONS, ...session.voiceActivityDetection },
+    audio: audioManifest({ ...audio, markerCount: rows.audio_markers?.length ?? 0 }),
+    webcam_video: {
+      frame_marker_count: rows.video_frames?.length ?? 0,
+      videos: videos.map((v) =>
+        webcamManifestEntry({
+          ...v,
+          startTsMs: v.startEpoch != null ? v.startEpoch - base : null,
+          stopTsMs: v.stopEpoch != null ? v.stopEpoch - base : null,
+        })
+      ),
+    },
+    viewport: { width: session.viewport_w ?? null, height: session.viewport_h ?? null },
+    calibration: {
+      settings: session.calibration?.info?.settings ?? null,
+      validation: session.calibration?.report ?? null,
+    },
+  });
+}
 
 export default function App() {
+  const [gazeSource] = React.useState(() => gazeProviderFromQuery());
+  // e.g. ?upload=http://localhost:8787/upload (see scripts/upload-receiver.js)
+  const [uploadEndpoint] = React.useState(
+    () => new URLSearchParams(window.location.search).get("upload") || import.meta.env.VITE_UPLOAD_ENDPOINT || ""
+  );
+  // ?webcam=1 also records the tracker's webcam video for the session export
+  const [recordWebcam] = React.useState(() => new URLSearchParams(window.location.search).get("webcam") === "1");
+  // ?drift=3 runs a drift check after every third question (off by default)
+  const [driftCheckEvery] = React.useState(
+    () => Math.max(0, Math.floor(Number(new URLSearchParams(window.location.search).get("drift")) || 0))
+  );
+  // ?bank=question-banks/example.json loads a question bank from public/ instead of questions.json
+  const [questionBank, setQuestionBank] = React.useState(null);
+  const [recoveryOpen, setRecoveryOpen] = React.useState(true);
+  const [resumeSession, setResumeSession] = React.useState(null);
+  const [resumeQuestionId, setResumeQuestionId] = React.useState(undefined);
   const [showQuestions, setShowQuestions] = React.useState(false);
   const [recordAnswer, setRecordAnswer] = React.useState(null);
+  const [recordQuestionEvent, setRecordQuestionEvent] = React.useState(null);
   const [psychometricActive, setPsychometricActive] = React.useState(false);
   const [psychometricResponses, setPsychometricResponses] = React.useState({});
   const psychometricStartTsRef = React.useRef(null);
   const [sessionId, setSessionId] = React.useState("");
   const [calibrationDone, setCalibrationDone] = React.useState(false);
-  const [demographics, setDemographics] = React.useState({
-    name: "",
-    age: "",
-    gender: "",
-    educationLevel: "",
-    lastGradeDivision: "",
-  });
+  const [demographics, setDemographics] = React.useState(EMPTY_DEMOGRAPHICS);
   const [demographicsSubmitted, setDemographicsSubmitted] = React.useState(false);
   const [resetSession, setResetSession] = React.useState(null);
-  const [downloadGaze, setDownloadGaze] = React.useState(null);
+  const [collectGazeExport, setCollectGazeExport] = React.useState(null);
+  const [driftCheck, setDriftCheck] = React.useState(null);
+
+  const closeRecovery = React.useCallback(() => setRecoveryOpen(false), []);
 
-  function csvEscape(v) {
-    if (v == null) return "";
-    const s = String(v);
-    if (/[,"\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-    return s;
+  React.useEffect(() => {
+    const url = new URLSearchParams(window.location.search).get("bank");
+    if (!url) return;
+    fetch(new URL(url, window.location.href))
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then((text) => setQuestionBank(parseQuestionBank(text)))
+      .catch((e) =>
+        setQuestionBank({
+          bank: null,
+          questions: [],
+          warnings: [],
+          errors: [{ path: "", message: `could not load ${url}: ${e.message}` }],
+        })
+      );
+  }, []);
+
+  function resumeStoredSession(loaded) {
+    const form = loaded.session.form || {};
+    if (form.demographics) setDemographics({ ...EMPTY_DEMOGRAPHICS, ...form.demographics });
+    setDemographicsSubmitted(!!form.demographicsSubmitted);
+    if (form.psychometric) {
+      psychometricStartTsRef.current = epochToPerf(form.psychometric.startedAtEpoch);
+      const restored = {};
+      Object.values(form.psychometric.responses || {}).forEach((r) => {
+        restored[r.question_id] = { ...r, ts: epochToPerf(r.ts) };
+      });
+      setPsychometricResponses(restored);
+    }
+    setResumeQuestionId(lastQuestionId(loaded.rows.samples || []));
+    setResumeSession(loaded);
   }
 
-  function downloadCsv(filename, rows) {
-    if (!rows.length) return;
-    const headerSet = new Set();
-    rows.forEach((r) => Object.keys(r).forEach((k) => headerSet.add(k)));
-    const header = Array.from(headerSet);
-    const lines = [
-      header.join(","),
-      ...rows.map((r) => header.map((k) => csvEscape(r[k])).join(",")),
-    ];
-    const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
+  // Psychometric timestamps are stored as epoch ms so they survive a reload
+  function persistPsychometric(responses) {
+    const stored = {};
+    Object.values(responses).forEach((r) => {
+      stored[r.question_id] = { ...r, ts: perfToEpoch(r.ts) };
+    });
+    updateSession(sessionId, {
+      form: { psychometric: { startedAtEpoch: perfToEpoch(psychometricStartTsRef.current), responses: stored } },
+    }).catch(() => {});
   }
 
   function startPsychometric() {
@@ -59,28 +215,37 @@ export default function App() {
   }
 
   function downloadPsychometricCsv() {
-    const base = psychometricStartTsRef.current;
-    const rows = Object.values(psychometricResponses).map((r) => ({
-      session_id: sessionId,
-      ts_ms: base != null ? Math.round((r.ts ?? 0) - base) : "",
-      question_id: r.question_id,
-      answer_option_index: r.answer_option_index ?? "",
-      answer_option_text: r.answer_option_text ?? "",
-    }));
+    const rows = psychometricCsvRows(sessionId, psychometricResponses, psychometricStartTsRef.current);
     downloadCsv("psychometric_responses.csv", rows);
   }
 
+  async function exportSession() {
+    if (typeof collectGazeExport !== "function") return;
+    const { files, manifest, markExported } = await collectGazeExport();
+    const formFiles = [
+      csvFile(
+        "psychometric_responses.csv",
+        psychometricCsvRows(sessionId, psychometricResponses, psychometricStartTsRef.current)
+      ),
+      demographicsSubmitted && csvFile("demographics.csv", demographicsCsvRows(sessionId, demographics)),
+    ];
+    await downloadSessionBundle(sessionId, [...files, ...formFiles], manifest);
+    markExported();
+  }
+
   function onPsychometricAnswer(questionId, optionIndex, optionText) {
     if (!psychometricActive) return;
-    setPsychometricResponses((prev) => ({
-      ...prev,
+    const next = {
+      ...psychometricResponses,
       [questionId]: {
         question_id: questionId,
         answer_option_index: optionIndex,
         answer_option_text: optionText,
         ts: performance.now(),
       },
-    }));
+    };
+    setPsychometricResponses(next);
+    persistPsychometric(next);
   }
 
   function onDemographicChange(e) {
@@ -91,32 +256,18 @@ export default function App() {
   function submitDemographics() {
     downloadDemographicsCsv();
     setDemographicsSubmitted(true);
+    updateSession(sessionId, { form: { demographics, demographicsSubmitted: true } }).catch(() => {});
   }
 
   function downloadDemographicsCsv() {
-    const rows = [
-      {
-        session_id: sessionId,
-        name: demographics.name.trim(),
-        age: demographics.age.trim(),
-        gender: demographics.gender.trim(),
-        education_level: demographics.educationLevel.trim(),
-        last_grade_division: demographics.lastGradeDivision.trim(),
-      },
-    ];
-    downloadCsv("demographics.csv", rows);
+    downloadCsv("demographics.csv", demographicsCsvRows(sessionId, demographics));
   }
 
   function handleQuestionRestart() {
     if (typeof resetSession === "function") resetSession();
     setDemographicsSubmitted(false);
-    setDemographics({
-      name: "",
-      age: "",
-      gender: "",
-      educationLevel: "",
-      lastGradeDivision: "",
-    });
+    setDemographics(EMPTY_DEMOGRAPHICS);
+    setResumeQuestionId(undefined);
     setShowQuestions(false);
   }
 
@@ -124,27 +275,35 @@ export default function App() {
     <div style={{ minHeight: "200vh", background: "#0b0b0b", paddingTop: 80 }}>
       <GazeRecorder
         sampleHz={5}
+        gazeProvider={gazeSource.provider}
+        gazeProviderOptions={gazeSource.options}
+        trackFace={gazeSource.provider !== "simulated"}
+        resumeSession={resumeSession}
+        questionBank={questionBank}
+        uploadEndpoint={uploadEndpoint}
+        recordWebcam={recordWebcam}
         clicksPerCalibrationPoint={6}
         onStartRecording={() => setShowQuestions(true)}
         onRegisterAnswerHandler={(handler) => setRecordAnswer(() => handler)}
+        onRegisterQuestionEventHandler={(handler) => setRecordQuestionEvent(() => handler)}
         onPsychometricStart={startPsychometric}
         onPsychometricStop={stopPsychometric}
         psychometricActive={psychometricActive}
         onCalibrationDone={() => setCalibrationDone(true)}
         onRegisterSessionResetHandler={(handler) => setResetSession(() => handler)}
         onSessionIdChange={setSessionId}
-        onRegisterDownloadHandler={(handler) => setDownloadGaze(() => handler)}
+        onRegisterExportHandler={(handler) => setCollectGazeExport(() => handler)}
+        onRegisterDriftCheckHandler={(handler) => setDriftCheck(() => handler)}
         startBlocked={!demographicsSubmitted}
         startBlockedReason={
           calibrationDone ? "Complete demographics before starting." : "Complete calibration first."
         }
         onRestartSession={handleQuestionRestart}
-        onDownloadAllCsvs={() => {
-          if (typeof downloadGaze === "function") downloadGaze();
-          downloadPsychometricCsv();
-          downloadDemographicsCsv();
-        }}
+        onExportSession={exportSession}
       />
+      {recoveryOpen && (
+        <SessionRecovery onResume={resumeStoredSession} onExport={exportStoredSession} onClose={closeRecovery} />
+      )}
       {calibrationDone && !demographicsSubmitted && (
         <div style={{ padding: 24, maxWidth: 900, margin: "0 auto", color: "#fff" }}>
           <div style={{ color: "#aaa", marginBottom: 8 }}>Demographics</div>
@@ -196,13 +355,22 @@ export default function App() {
       )}
 
       {showQuestions && !psychometricActive && (
-        <QuestionScreen onAnswer={recordAnswer} onRestart={handleQuestionRestart} />
+        <QuestionScreen
+          bank={questionBank}
+          onAnswer={recordAnswer}
+          onEvent={recordQuestionEvent}
+          onRestart={handleQuestionRestart}
+          initialQuestionId={resumeQuestionId}
+          driftCheckEvery={driftCheckEvery}
+          onDriftCheck={driftCheck}
+        />
       )}
       {psychometricActive && (
         <QuestionScreen
           title="Psychometric Test"
           questionsData={psychometricQuestions}
           onAnswer={onPsychometricAnswer}
+          onEvent={recordQuestionEvent}
           disableOptionDelay
         />
       )}
@@ -1,12 +1,90 @@
 // GazeRecorder.jsx
-// - Starts WebGazer
-// - Shows a 9-point calibration overlay (click each point N times)
-// - Records gaze samples at a fixed Hz
+// - Starts a gaze provider (WebGazer by default, see ./gazeProviders)
+// - Shows a calibration overlay (5/9/13/16 points; click each point N times or dwell on it)
+// - Validates calibration on separate targets (accuracy / precision per point)
+// - Optional drift check between questions with automatic short recalibration
+// - Keeps every provider prediction as a raw stream (native rate, validity flag) and resamples it
+//   to the fixed-Hz sample table (linear / nearest, with sample age and stale flags)
+// - Monitors tracking quality while recording (valid ratio, off-screen share, jitter, prediction gap):
+//   researcher indicator, participant "look at the screen" prompt and periodic quality rows
+// - Adds head pose, face distance, eye aspect ratio and blink flags from MediaPipe Face Mesh
 // - Maps gaze -> content via elementFromPoint + walk-up to nearest [data-content-id]
-// - Downloads CSV
+// - Stores gaze in viewport, page (scroll-adjusted), device-pixel and content-box-relative coordinates
+// - Logs question lifecycle events (onset, options revealed, navigation, submit) on the same ts_ms clock
+// - Logs participant interaction (clicks, mouse moves, key classes, scroll, resize, focus, visibility)
+//   to a separate events table on the same ts_ms clock
+// - Adds stimulus-relative coordinates, AOI name and video media time on image / video questions
+// - Records audio per question automatically for questions with audioCapture (one segment at a time,
+//   tagged with question_id); the top-bar buttons still start / stop segments by hand
+// - audioMode "continuous" records one session-long audio track instead; segment start / stop then
+//   become markers in a sidecar CSV (ts_ms and offset into the track), and speech metrics per
+//   marker window are cut from the track's analysis
+// - Detects speech in the audio clips at export (onset latency, speaking time, pauses, loudness envelope)
+//   and adds 16-bit PCM WAV copies at a fixed sample rate
+// - Optionally records the provider's webcam stream for the whole recording, with per-frame
+//   markers that map video time to ts_ms; its chunks are backed up with the audio, so a recovered
+//   or resumed session keeps the video
+// - Exports CSVs (gaze samples, raw gaze, interaction events, quality, calibration report, detected fixations / saccades, AOI metrics, blinks,
+//   audio log) and audio clips for the session ZIP bundle
+// - Shows a per-question AOI summary when recording stops
+// - Opens a per-question gaze heatmap (current session or a loaded CSV)
+// - Opens a scanpath replay of an exported session
+// - Streams samples, events and audio chunks to IndexedDB so a reload or crash can be recovered
+// - Optionally uploads the same chunks to a collection endpoint (offline queue + retry)
 
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import useAudioRecorder from "./useAudioRecorder";
+import useFaceTracking from "./useFaceTracking";
+import { createGazeProvider } from "./gazeProviders";
+import { downloadBlob, downloadCsv } from "./csv";
+import { csvFile } from "./sessionBundle";
+import createSessionUploader from "./sessionUploader";
+import createInteractionLogger from "./interactionLogger";
+import { countValidBetween, DEFAULT_RESAMPLE_OPTIONS, nearestByTs, resampleAt } from "./gazeResampling";
+import { assessQuality, computeQualityMetrics, DEFAULT_QUALITY_THRESHOLDS } from "./qualityMonitor";
+import {
+  computePointQuality,
+  computeValidationReport,
+  makeCalibrationPoints,
+  makePointOrder,
+  makeValidationPoints,
+  randomSeed,
+} from "./calibration";
+import { DEFAULT_WAV_SAMPLE_RATE } from "./audioWav";
+import { DEFAULT_VAD_OPTIONS } from "./voiceActivity";
+import {
+  analysisFiles,
+  analyzeClipSpeech,
+  analyzeSession,
+  audioClipFileName,
+  audioExportFiles,
+  audioManifest,
+  audioSegmentRows,
+  blinkRow,
+  calibrationReportRows,
+  clipFromRecording,
+  clipToWav,
+  speechExport,
+  tableFiles,
+  webcamFileName,
+  webcamManifestEntry,
+} from "./sessionExport";
+import createWebcamRecorder from "./webcamRecorder";
+import AoiSummary from "./AoiSummary";
+import HeatmapViewer from "./HeatmapViewer";
+import ReplayViewer from "./ReplayViewer";
+import { captureStimulus, stimulusContextAt } from "./stimulus";
+import { bareQuestionId } from "./questionBank";
+import {
+  appendAudioChunk,
+  appendRows,
+  epochToPerf,
+  markSessionExported,
+  perfToEpoch,
+  saveAudioSegment,
+  saveWebcamVideo,
+  updateSession,
+} from "./sessionStore";
 
 function safeUUID() {
   if (crypto?.randomUUID) return crypto.randomUUID();
@@ -18,48 +96,6 @@ function safeUUID() {
   return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
-function csvEscape(v) {
-  if (v == null) return "";
-  const s = String(v);
-  if (/[,"\n]/.test(s)) return `"\${s.replace(/"/g, '""')}"`;
-  return s;
-}
-
-function downloadCsv(filename, rows) {
-  if (!rows.length) return;
-  const headerSet = new Set();
-  rows.forEach((r) => Object.keys(r).forEach((k) => headerSet.add(k)));
-  const header = Array.from(headerSet);
-  const lines = [
-    header.join(","),
-    ...rows.map((r) => header.map((k) => csvEscape(r[k])).join(",")),
-  ];
-  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-}
-
-function downloadBlob(filename, blob) {
-  if (!blob) return;
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-}
-
-function guessAudioExt(mimeType) {
-  if (!mimeType) return "webm";
-  if (mimeType.includes("ogg")) return "ogg";
-  if (mimeType.includes("wav")) return "wav";
-  return "webm";
-}
-
 function findContentContainer(el, maxHops = 10) {
   let cur = el;
   for (let i = 0; i < maxHops && cur; i++) {
@@ -82,11 +118,16 @@ function getDomContextAtPoint(x, y) {
       bbox_y: "",
       bbox_w: "",
       bbox_h: "",
+      content_x_norm: "",
+      content_y_norm: "",
     };
   }
 
-  const contentEl = findContentContainer(el) || el;
+  const container = findContentContainer(el);
+  const contentEl = container || el;
   const r = contentEl.getBoundingClientRect();
+  // Position inside the content box (0..1), stable across window sizes and scroll positions
+  const relative = container && r.width > 0 && r.height > 0;
 
   return {
     content_id: contentEl.dataset?.contentId || "",
@@ -98,12 +139,30 @@ function getDomContextAtPoint(x, y) {
     bbox_y: Math.round(r.y),
     bbox_w: Math.round(r.width),
     bbox_h: Math.round(r.height),
+    content_x_norm: relative ? clamp((x - r.left) / r.width, 0, 1).toFixed(6) : "",
+    content_y_norm: relative ? clamp((y - r.top) / r.height, 0, 1).toFixed(6) : "",
   };
 }
 
+// ctx from getDomContextAtPoint at another point: the content-relative position of (x, y) in
+// the same content box
+function contentNormAt(ctx, x, y) {
+  if (ctx.content_x_norm === "" || !(ctx.bbox_w > 0) || !(ctx.bbox_h > 0)) return ctx;
+  return {
+    ...ctx,
+    content_x_norm: clamp((x - ctx.bbox_x) / ctx.bbox_w, 0, 1).toFixed(6),
+    content_y_norm: clamp((y - ctx.bbox_y) / ctx.bbox_h, 0, 1).toFixed(6),
+  };
+}
+
+function fixed(n, digits) {
+  return n == null || !isFinite(n) ? "" : n.toFixed(digits);
+}
+
+// Bare question id ("q1"), the same value question events and answers carry
 function getActiveQuestionId() {
   const el = document.querySelector('[data-content-type="question_prompt"]');
-  if (el instanceof HTMLElement) return el.dataset?.contentId || "";
+  if (el instanceof HTMLElement) return el.dataset?.questionId || "";
   return "";
 }
 
@@ -111,23 +170,59 @@ function clamp(n, lo, hi) {
   return Math.max(lo, Math.min(hi, n));
 }
 
-function make9PointGrid(w, h) {
-  const xs = [0.1, 0.5, 0.9].map((p) => Math.round(p * w));
-  const ys = [0.1, 0.5, 0.9].map((p) => Math.round(p * h));
-  const pts = [];
-  for (const y of ys) for (const x of xs) pts.push([x, y]);
-  return pts;
-}
-
 export default function GazeRecorder({
   sampleHz = 5,
   clicksPerCalibrationPoint = 5,
+  calibrationPattern = 9,
+  calibrationMargin = 0.1,
+  calibrationOrder = "sequential",
+  calibrationSeed = null,
+  calibrationMode = "click",
+  calibrationDwellMs = 2000,
+  calibrationDwellSettleMs = 500,
+  calibrationDwellSampleHz = 10,
+  validateCalibration = true,
+  validationSettleMs = 600,
+  validationCollectMs = 1200,
+  validationMaxErrorPx = 200,
+  driftCheckSettleMs = 500,
+  driftCheckCollectMs = 1000,
+  driftCheckMaxErrorPx = 150,
+  driftRecalibrationPattern = 5,
+  onRegisterDriftCheckHandler,
+  eventDetection,
+  voiceActivityDetection,
+  gazeProvider = "webgazer",
+  gazeProviderOptions,
+  trackFace = true,
+  faceStaleMs = 500,
+  resampleMethod = DEFAULT_RESAMPLE_OPTIONS.method,
+  resampleDelayMs = 100,
+  resampleMaxGapMs = DEFAULT_RESAMPLE_OPTIONS.maxGapMs,
+  staleGazeMs = DEFAULT_RESAMPLE_OPTIONS.staleMs,
+  qualityIntervalMs = 1000,
+  qualityWindowMs = 2000,
+  qualityThresholds,
+  showLookPrompt = true,
+  persistSession = true,
+  persistIntervalMs = 2000,
+  audioChunkMs = 1000,
+  audioMode = "segments",
+  audioEchoCancellation = true,
+  audioNoiseSuppression = true,
+  audioSilenceWarningMs = 4000,
+  exportWav = true,
+  wavSampleRate = DEFAULT_WAV_SAMPLE_RATE,
+  recordWebcam = false,
+  resumeSession = null,
+  uploadEndpoint = "",
   onStartRecording,
   onRegisterAnswerHandler,
-  onRegisterDownloadHandler,
+  onRegisterQuestionEventHandler,
+  onRegisterExportHandler,
   onPsychometricStart,
   onPsychometricStop,
-  onDownloadAllCsvs,
+  onExportSession,
   onCalibrationDone,
   onRegisterSessionResetHandler,
   onSessionIdChange,
@@ -135,6 +230,7 @@ export default function GazeRecorder({
   startBlockedReason = "",
   onRestartSession,
   psychometricActive = false,
+  questionBank = null,
 }) {
   const [ready, setReady] = useState(false);
   const [recording, setRecording] = useState(false);
@@ -143,34 +239,185 @@ export default function GazeRecorder({
 
   const [calibIdx, setCalibIdx] = useState(0);
   const [calibClicks, setCalibClicks] = useState(0);
+  const [calibPts, setCalibPts] = useState([]);
+  const [validating, setValidating] = useState(false);
+  const [validIdx, setValidIdx] = useState(0);
+  const [validationReport, setValidationReport] = useState(null);
+  const [driftTarget, setDriftTarget] = useState(null);
+  const [aoiSummary, setAoiSummary] = useState(null);
+  const [heatmapRows, setHeatmapRows] = useState(null);
+  const [replayOpen, setReplayOpen] = useState(false);
+  const [persistError, setPersistError] = useState("");
+  const [uploadStatus, setUploadStatus] = useState(null);
+  const [quality, setQuality] = useState(null);
+  const [lookPrompt, setLookPrompt] = useState(false);
+  const [markerOpen, setMarkerOpen] = useState(false);
+  const [webcamStatus, setWebcamStatus] = useState(null);
+  const [audioInput, setAudioInput] = useState({
+    deviceId: "",
+    echoCancellation: audioEchoCancellation,
+    noiseSuppression: audioNoiseSuppression,
+  });
 
   const samplesRef = useRef([]);
+  const rawGazeRef = useRef([]);
+  const rawGazeSinkRef = useRef(null);
   const lastGazeRef = useRef(null);
+  const providerRef = useRef(null);
+  const gazeTapsRef = useRef(new Set());
+  const validationSamplesRef = useRef([]);
+  const calibrationQualityRef = useRef(null);
+  const calibrationInfoRef = useRef(null);
+  const calibRunRef = useRef(null);
+  const driftCheckImplRef = useRef(null);
+  // { timers, tap, resolve, recalibrating } from a drift check's target until its recalibration ends
+  const driftCheckRef = useRef(null);
+  const persistedCountRef = useRef(0);
+  const eventsRef = useRef([]);
+  const persistedEventsRef = useRef(0);
+  const persistedRawRef = useRef(0);
+  const qualityRowsRef = useRef([]);
+  const qualityThresholdsRef = useRef(qualityThresholds);
+  qualityThresholdsRef.current = qualityThresholds;
+  const persistedQualityRef = useRef(0);
+  const resumeRef = useRef(null);
+  const uploaderRef = useRef(null);
   const sessionIdRef = useRef(safeUUID());
   const intervalRef = useRef(null);
   const audioSegmentIdRef = useRef(null);
   const audioRecordingRef = useRef(false);
   const lastAudioTsRef = useRef(null);
   const audioTickRef = useRef(null);
-
-  const calibPts = useMemo(() => make9PointGrid(window.innerWidth, window.innerHeight), []);
+  const autoAudioRef = useRef(null);
+  const audioQueueRef = useRef(Promise.resolve());
+  const speechAnalysisRef = useRef(new Map());
+  const wavRef = useRef(new Map());
+  const openMarkerRef = useRef(null);
+  const audioMarkersRef = useRef([]);
+  const persistedMarkersRef = useRef(0);
+  const webcamVideosRef = useRef([]);
+  const videoFramesRef = useRef([]);
+  // Page context per valid raw gaze sample, trimmed as the resampling grid moves on
+  const rawContextRef = useRef([]);
+  const persistedFramesRef = useRef(0);
+  const blinkRowsRef = useRef([]);
+  const persistedBlinksRef = useRef(0);
+
+  const validPts = useMemo(() => makeValidationPoints(window.innerWidth, window.innerHeight), []);
 
   const recordingStartTsRef = useRef(null);
+
+  function persist(promise) {
+    promise.then(() => setPersistError("")).catch((e) => setPersistError(String(e?.message || e)));
+  }
+
   const {
     isSupported: audioSupported,
     isRecording: audioRecording,
+    isPaused: audioPaused,
     recordings: audioRecordings,
     latestRecording,
     error: audioError,
     startRecording: startAudio,
     stopRecording: stopAudio,
     clearRecordings: clearAudioRecordings,
+    restoreRecordings: restoreAudioRecordings,
+    getActiveSegment: getActiveAudioSegment,
+    pauseRecording: pauseAudio,
+    resumeRecording: resumeAudio,
+    devices: audioDevices,
+    openInput: openAudioInput,
+    inputOpen: audioInputOpen,
+    getLevel: getAudioLevel,
+    inputSilent: audioInputSilent,
     clearError: clearAudioError,
-  } = useAudioRecorder();
+  } = useAudioRecorder({
+    ...audioInput,
+    silenceWarningMs: audioSilenceWarningMs,
+    timesliceMs: persistSession || uploadEndpoint ? audioChunkMs : 0,
+    onChunk: (id, seq, blob) => {
+      if (persistSession) persist(appendAudioChunk(sessionIdRef.current, id, seq, blob));
+      uploaderRef.current?.enqueueAudioChunk(sessionIdRef.current, id, seq, blob);
+    },
+    onSegment: (rec) => storeAudioSegment(audioSegmentRecord(rec)),
+    onReject: (info) => logAudioReject(info),
+    onPause: (id) => logAudioPause("audio_paused", id),
+    onResume: (id) => logAudioPause("audio_resumed", id),
+  });
+
+  function logAudioPause(type, id) {
+    if (!recordingStartTsRef.current) return;
+    samplesRef.current.push(
+      makeRow({ content_type: "audio", event_type: type, audio_segment_id: id })
+    );
+  }
+
+  function logAudioReject({ id, meta, reason, activeId }) {
+    if (!recordingStartTsRef.current) return;
+    samplesRef.current.push(
+      makeRow({
+        content_type: "audio",
+        question_id: meta?.question_id || "",
+        event_type: "audio_segment_rejected",
+        audio_reject_reason: reason,
+        audio_rejected_segment_id: id,
+        audio_active_segment_id: activeId || "",
+      })
+    );
+  }
+
+  function storeAudioSegment(segment) {
+    if (persistSession) persist(saveAudioSegment(sessionIdRef.current, segment));
+    uploaderRef.current?.enqueueAudioSegment(sessionIdRef.current, segment);
+  }
+
+  useEffect(() => {
+    if (!uploadEndpoint) {
+      setUploadStatus(null);
+      return undefined;
+    }
+    const uploader = createSessionUploader({ endpoint: uploadEndpoint, onStatus: setUploadStatus });
+    uploaderRef.current = uploader;
+    return () => {
+      uploader.stop();
+      if (uploaderRef.current === uploader) uploaderRef.current = null;
+    };
+  }, [uploadEndpoint]);
+
+  function audioSegmentRecord(rec) {
+    return {
+      id: rec.id,
+      startEpoch: perfToEpoch(rec.startTs),
+      stopEpoch: rec.stopTs != null ? perfToEpoch(rec.stopTs) : null,
+      durationMs: rec.durationMs ?? null,
+      mimeType: rec.mimeType || "",
+      meta: rec.meta,
+      pauses: (rec.pauses || []).map((p) => ({ pauseEpoch: perfToEpoch(p.pauseTs), resumeEpoch: perfToEpoch(p.resumeTs) })),
+      input: rec.input ?? null,
+    };
+  }
+
+  const {
+    status: faceStatus,
+    error: faceError,
+    latestRef: faceLatestRef,
+    clearBlinks,
+  } = useFaceTracking({
+    enabled: recording && trackFace,
+    onBlink: (b) => {
+      const base = recordingStartTsRef.current;
+      if (base == null || b.onset < base) return;
+      blinkRowsRef.current.push(blinkRow(sessionIdRef.current, blinkRowsRef.current.length, b, base));
+    },
+    getVideoElement: () => providerRef.current?.getVideoElement() ?? null,
+    subscribeFaceResults: (onResults) => providerRef.current?.onFaceResults?.(onResults) ?? null,
+  });
 
+  // Gaze rows count a paused segment as not recording
   useEffect(() => {
-    audioRecordingRef.current = audioRecording;
-    if (audioRecording) {
+    const active = audioRecording && !audioPaused;
+    audioRecordingRef.current = active;
+    if (active) {
       const tick = () => {
         lastAudioTsRef.current = performance.now();
       };
@@ -185,7 +432,7 @@ export default function GazeRecorder({
       if (audioTickRef.current) clearInterval(audioTickRef.current);
       audioTickRef.current = null;
     };
-  }, [audioRecording]);
+  }, [audioRecording, audioPaused]);
 
   useEffect(() => {
     if (typeof onSessionIdChange === "function") {
@@ -193,44 +440,143 @@ export default function GazeRecorder({
     }
   }, [onSessionIdChange]);
 
+  // Common columns shared by gaze samples and event rows (same ts_ms clock)
+  function makeRow(fields) {
+    const base = recordingStartTsRef.current ?? 0;
+    const quality = calibrationQualityRef.current;
+    return {
+      session_id: sessionIdRef.current,
+      ts_ms: Math.round(performance.now() - base),
+      gaze_x_px: "",
+      gaze_y_px: "",
+      gaze_x_norm: "",
+      gaze_y_norm: "",
+      gaze_page_x_px: "",
+      gaze_page_y_px: "",
+      gaze_x_dpx: "",
+      gaze_y_dpx: "",
+      gaze_source_ts_ms: "",
+      gaze_age_ms: "",
+      gaze_stale: "",
+      gaze_resample: "",
+      gaze_raw_count: "",
+      gaze_clamped: "",
+      device_pixel_ratio: window.devicePixelRatio || 1,
+      scroll_x: Math.round(window.scrollX || 0),
+      scroll_y: Math.round(window.scrollY || 0),
+      audio_recording: audioRecordingRef.current ? 1 : 0,
+      audio_segment_id: audioRecordingRef.current ? audioSegmentIdRef.current || "" : "",
+      audio_ts_ms:
+        audioRecordingRef.current && lastAudioTsRef.current != null
+          ? Math.round(lastAudioTsRef.current - base)
+          : "",
+      screen_overlay: "",
+      content_id: "",
+      content_type: "",
+      question_id: "",
+      element_tag: "",
+      element_id: "",
+      element_class: "",
+      bbox_x: "",
+      bbox_y: "",
+      bbox_w: "",
+      bbox_h: "",
+      content_x_norm: "",
+      content_y_norm: "",
+      event_type: "",
+      answer_option_index: "",
+      answer_option_text: "",
+      answer_text: "",
+      answer_type: "",
+      answer_value: "",
+      calib_accuracy_px: quality?.accuracy_px ?? "",
+      calib_accuracy_norm: quality?.accuracy_norm ?? "",
+      calib_precision_px: quality?.precision_rms_px ?? "",
+      calib_passed: quality ? (quality.passed ? 1 : 0) : "",
+      ...fields,
+    };
+  }
+
   const recordAnswerEvent = useCallback(
-    (questionId, optionIndex, optionText, answerText) => {
+    // details: { type, value } from the richer question types (likert, numeric, ranking, ...)
+    (questionId, optionIndex, optionText, answerText, details) => {
       if (!recording) return;
       if (!recordingStartTsRef.current) return;
-      samplesRef.current.push({
-        session_id: sessionIdRef.current,
-        ts_ms: Math.round(performance.now() - recordingStartTsRef.current),
-        gaze_x_px: "",
-        gaze_y_px: "",
-        gaze_x_norm: "",
-        gaze_y_norm: "",
-        scroll_y: Math.round(window.scrollY || 0),
-        audio_recording: audioRecordingRef.current ? 1 : 0,
-        audio_segment_id: audioRecordingRef.current ? audioSegmentIdRef.current || "" : "",
-        audio_ts_ms:
-          audioRecordingRef.current && lastAudioTsRef.current != null
-            ? Math.round(lastAudioTsRef.current - recordingStartTsRef.current)
-            : "",
-        content_id: "",
-        content_type: "answer",
-        question_id: questionId || "",
-        element_tag: "",
-        element_id: "",
-        element_class: "",
-        bbox_x: "",
-        bbox_y: "",
-        bbox_w: "",
-        bbox_h: "",
-        event_type: "answer",
-        answer_option_index: optionIndex ?? "",
-        answer_option_text: optionText ?? "",
-        answer_text: answerText ?? "",
-        answer_type: optionIndex == null ? "text" : "option",
-      });
+      samplesRef.current.push(
+        makeRow({
+          content_type: "answer",
+          question_id: questionId || "",
+          event_type: "answer",
+          answer_option_index: optionIndex ?? "",
+          answer_option_text: optionText ?? "",
+          answer_text: answerText ?? "",
+          answer_type: details?.type ?? (optionIndex == null ? "text" : "option"),
+          answer_value: details?.value ?? "",
+        })
+      );
     },
     [recording]
   );
 
+  // Question lifecycle events from QuestionScreen (onset, reveal, navigation, submit).
+  // Stable identity: the first question_onset fires in the same commit that starts recording,
+  // before a re-registered handler would reach QuestionScreen.
+  function logQuestionEvent(type, { question_id, ...fields } = {}) {
+    if (!recording || !recordingStartTsRef.current) return;
+    samplesRef.current.push(
+      makeRow({
+        content_type: "question_event",
+        question_id: question_id || "",
+        event_type: type,
+        ...fields,
+      })
+    );
+    autoAudioCapture(type, question_id, fields.audio_capture);
+  }
+
+  // Start / stop are queued so the stop for one question finishes (recorder flushed) before the
+  // next question's segment starts; the recorder itself rejects anything that would overlap.
+  function queueAudio(op) {
+    audioQueueRef.current = audioQueueRef.current.then(op).catch(() => {});
+  }
+
+  function autoAudioCapture(type, questionId, mode) {
+    const startsNow =
+      (type === "question_onset" && mode === "onset") ||
+      ((type === "options_revealed" || type === "text_box_revealed") && mode === "reveal");
+    const leaves = ["nav_next", "nav_back", "submit", "questionnaire_restart"].includes(type);
+
+    // A segment still open from another question (e.g. left without a nav event) ends at this onset
+    if (leaves || type === "question_onset") {
+      queueAudio(async () => {
+        const auto = autoAudioRef.current;
+        if (!auto || (leaves && auto.questionId !== questionId)) return;
+        if (type === "question_onset" && auto.questionId === questionId) return;
+        autoAudioRef.current = null;
+        await stopAudioSegment(auto.id);
+        if (audioSegmentIdRef.current === auto.id) audioSegmentIdRef.current = null;
+      });
+    }
+    if (startsNow && audioSupported) {
+      queueAudio(async () => {
+        if (autoAudioRef.current?.questionId === questionId) return;
+        const id = await startAudioRecording({ questionId, capture: "auto" });
+        if (id) autoAudioRef.current = { id, questionId };
+      });
+    }
+  }
+
+  const questionEventImplRef = useRef(logQuestionEvent);
+  questionEventImplRef.current = logQuestionEvent;
+  const recordQuestionEvent = useCallback((type, fields) => questionEventImplRef.current(type, fields), []);
+
+  useEffect(() => {
+    if (typeof onRegisterQuestionEventHandler === "function") {
+      onRegisterQuestionEventHandler(recordQuestionEvent);
+      return () => onRegisterQuestionEventHandler(null);
+    }
+  }, [onRegisterQuestionEventHandler, recordQuestionEvent]);
+
   useEffect(() => {
     if (typeof onRegisterAnswerHandler === "function") {
       onRegisterAnswerHandler(recordAnswerEvent);
@@ -238,31 +584,36 @@ export default function GazeRecorder({
     }
   }, [onRegisterAnswerHandler, recordAnswerEvent]);
 
-  // Start WebGazer
+  // Start the gaze provider
   useEffect(() => {
-    const wg = window.webgazer;
-    if (!wg) {
-      setStatus("WebGazer script not found (check index.html)");
-      return;
+    let provider;
+    try {
+      provider = createGazeProvider(gazeProvider, gazeProviderOptions);
+    } catch (e) {
+      setStatus(String(e?.message || e));
+      return undefined;
     }
 
     let stopped = false;
+    let unsubscribe = null;
+    providerRef.current = provider;
+    setReady(false);
 
     (async () => {
       try {
-        setStatus("starting webgazer...");
-        await wg.setRegression("ridge").saveDataAcrossSessions(false).begin();
+        setStatus(`starting ${provider.name}...`);
+        await provider.start();
+        if (stopped) return;
 
-        // Hide WebGazer debug overlays (red dot, boxes, preview) for clean data
-        wg.showPredictionPoints(true)
-          .showFaceOverlay(true)
-          .showFaceFeedbackBox(true)
-          .showVideoPreview(true);
+        // Overlays stay on until calibration starts so the participant can position their face
+        provider.setOverlays({ prediction: true, face: true, video: true });
 
-        wg.setGazeListener((data, ts) => {
+        unsubscribe = provider.onGaze((g) => {
           if (stopped) return;
-          if (!data || !isFinite(data.x) || !isFinite(data.y)) return;
-          lastGazeRef.current = { x: data.x, y: data.y, ts: ts ?? performance.now() };
+          rawGazeSinkRef.current?.(g);
+          if (g.valid === false) return;
+          lastGazeRef.current = g;
+          gazeTapsRef.current.forEach((fn) => fn(g));
         });
 
         setReady(true);
@@ -274,124 +625,762 @@ export default function GazeRecorder({
 
     return () => {
       stopped = true;
-      try { wg.end(); } catch {}
+      unsubscribe?.();
+      try { provider.stop(); } catch {}
+      if (providerRef.current === provider) providerRef.current = null;
     };
-  }, []);
+    // Options are read once per provider; pass a new provider name or object to restart
+  }, [gazeProvider]);
 
-  // Fixed-rate sampling for recording
+  // Raw capture + fixed-rate resampling for recording. Grid points run resampleDelayMs behind
+  // real time so linear interpolation has a prediction on both sides. The page context (content
+  // under the gaze, question, stimulus, face, scroll) is captured with each raw sample, and each
+  // row takes the capture closest to its grid time, so it matches the gaze position it is paired with.
   useEffect(() => {
+    rawContextRef.current = [];
     if (!recording) {
       if (intervalRef.current) clearInterval(intervalRef.current);
       intervalRef.current = null;
+      rawGazeSinkRef.current = null;
       return;
     }
 
-    const periodMs = Math.max(10, Math.round(1000 / sampleHz));
-    intervalRef.current = setInterval(() => {
-      const g = lastGazeRef.current;
-      if (!g) return;
+    rawGazeSinkRef.current = (g) => {
+      const base = recordingStartTsRef.current ?? 0;
+      const valid = g.valid !== false;
+      const tsMs = Math.round((g.ts - base) * 10) / 10;
+      if (valid) {
+        rawContextRef.current.push(
+          captureContext(tsMs, clamp(g.x, 0, window.innerWidth), clamp(g.y, 0, window.innerHeight))
+        );
+      }
+      rawGazeRef.current.push({
+        session_id: sessionIdRef.current,
+        ts_ms: tsMs,
+        gaze_x_px: valid ? Math.round(g.x * 10) / 10 : "",
+        gaze_y_px: valid ? Math.round(g.y * 10) / 10 : "",
+        valid: valid ? 1 : 0,
+        on_screen: valid ? (g.x >= 0 && g.x <= window.innerWidth && g.y >= 0 && g.y <= window.innerHeight ? 1 : 0) : "",
+      });
+    };
 
-      const x = clamp(g.x, 0, window.innerWidth);
-      const y = clamp(g.y, 0, window.innerHeight);
+    const periodMs = 1000 / sampleHz;
+    const resampleOptions = { method: resampleMethod, maxGapMs: resampleMaxGapMs, staleMs: staleGazeMs };
+    const elapsed = () => performance.now() - (recordingStartTsRef.current ?? 0);
+    // Next grid point on the ts_ms clock (a resumed session continues its own grid); the grid
+    // starts at ts_ms 0, never before the recording
+    let nextT = Math.max(0, Math.ceil((elapsed() - resampleDelayMs) / periodMs) * periodMs);
 
-      const ctx = getDomContextAtPoint(x, y);
-      const questionId = getActiveQuestionId();
+    intervalRef.current = setInterval(() => {
+      const due = elapsed() - resampleDelayMs;
+      // After a long stall (throttled background tab) skip ahead instead of writing a burst of rows
+      if (due - nextT > 5000) nextT = Math.ceil((due - periodMs) / periodMs) * periodMs;
+      for (; nextT <= due; nextT += periodMs) writeSample(nextT);
+    }, Math.max(10, Math.round(periodMs / 2)));
+
+    function writeSample(t) {
+      const raw = rawGazeRef.current;
+      const s = resampleAt(raw, t, resampleOptions);
+      if (!s) return;
+
+      const x = clamp(s.x, 0, window.innerWidth);
+      const y = clamp(s.y, 0, window.innerHeight);
+
+      // Captures older than the one before t can no longer be the closest to a later grid time
+      const contexts = rawContextRef.current;
+      while (contexts.length > 1 && contexts[1].ts_ms <= t) contexts.shift();
+      const snap = nearestByTs(contexts, t) ?? captureContext(t, x, y);
+      const { overlay } = snap;
+      const ctx = overlay ? { content_id: overlay, content_type: overlay } : contentNormAt(snap.dom, x, y);
+      const dpr = window.devicePixelRatio || 1;
+
+      samplesRef.current.push(
+        makeRow({
+          gaze_x_px: Math.round(x),
+          gaze_y_px: Math.round(y),
+          gaze_x_norm: (x / window.innerWidth).toFixed(6),
+          gaze_y_norm: (y / window.innerHeight).toFixed(6),
+          gaze_page_x_px: Math.round(x + snap.scrollX),
+          gaze_page_y_px: Math.round(y + snap.scrollY),
+          scroll_x: Math.round(snap.scrollX),
+          scroll_y: Math.round(snap.scrollY),
+          gaze_x_dpx: Math.round(x * dpr),
+          gaze_y_dpx: Math.round(y * dpr),
+
+          content_id: ctx.content_id,
+          content_type: ctx.content_type,
+          question_id: snap.questionId,
+
+          element_tag: ctx.element_tag,
+          element_id: ctx.element_id,
+          element_class: ctx.element_class,
+
+          bbox_x: ctx.bbox_x,
+          bbox_y: ctx.bbox_y,
+          bbox_w: ctx.bbox_w,
+          bbox_h: ctx.bbox_h,
+          content_x_norm: ctx.content_x_norm,
+          content_y_norm: ctx.content_y_norm,
+          ...(overlay ? {} : stimulusContextAt(snap.stimulus, x, y)),
+          screen_overlay: overlay,
+          event_type: "gaze",
+          ...snap.face,
+          ts_ms: Math.round(t),
+          gaze_source_ts_ms: s.source_ts_ms,
+          gaze_age_ms: s.age_ms != null ? Math.round(s.age_ms) : "",
+          gaze_stale: s.stale ? 1 : 0,
+          gaze_resample: s.method,
+          gaze_raw_count: countValidBetween(raw, t - periodMs, t),
+          gaze_clamped: x !== s.x || y !== s.y ? 1 : 0,
+        })
+      );
+    }
+
+    return () => {
+      if (intervalRef.current) clearInterval(intervalRef.current);
+      intervalRef.current = null;
+      rawGazeSinkRef.current = null;
+    };
+  }, [recording, sampleHz, resampleMethod, resampleDelayMs, resampleMaxGapMs, staleGazeMs]);
 
-      samplesRef.current.push({
+  // Quality check every qualityIntervalMs over the last qualityWindowMs of raw gaze. The participant
+  // prompt needs two "lost" checks in a row so a single dropped frame does not flash it.
+  useEffect(() => {
+    if (!recording) {
+      setQuality(null);
+      setLookPrompt(false);
+      return undefined;
+    }
+    let lostChecks = 0;
+    const timer = setInterval(() => {
+      const nowTs = performance.now() - (recordingStartTsRef.current ?? 0);
+      const m = computeQualityMetrics(rawGazeRef.current, nowTs, qualityWindowMs);
+      const { level, issues } = assessQuality(m, qualityThresholdsRef.current);
+      lostChecks = level === "lost" ? lostChecks + 1 : 0;
+      const prompt = showLookPrompt && lostChecks >= 2;
+      qualityRowsRef.current.push({
         session_id: sessionIdRef.current,
-        //ts_ms: Math.round(performance.now()),
-        ts_ms: Math.round(performance.now() - (recordingStartTsRef.current ?? 0)),
-        gaze_x_px: Math.round(x),
-        gaze_y_px: Math.round(y),
-        gaze_x_norm: (x / window.innerWidth).toFixed(6),
-        gaze_y_norm: (y / window.innerHeight).toFixed(6),
-        scroll_y: Math.round(window.scrollY || 0),
-        audio_recording: audioRecordingRef.current ? 1 : 0,
-        audio_segment_id: audioRecordingRef.current ? audioSegmentIdRef.current || "" : "",
-        audio_ts_ms:
-          audioRecordingRef.current && lastAudioTsRef.current != null
-            ? Math.round(lastAudioTsRef.current - (recordingStartTsRef.current ?? 0))
-            : "",
-
-        content_id: ctx.content_id,
-        content_type: ctx.content_type,
-        question_id: questionId,
-
-        element_tag: ctx.element_tag,
-        element_id: ctx.element_id,
-        element_class: ctx.element_class,
-
-        bbox_x: ctx.bbox_x,
-        bbox_y: ctx.bbox_y,
-        bbox_w: ctx.bbox_w,
-        bbox_h: ctx.bbox_h,
-        event_type: "gaze",
-        answer_option_index: "",
-        answer_option_text: "",
-        answer_text: "",
-        answer_type: "",
+        ts_ms: Math.round(nowTs),
+        question_id: getActiveQuestionId(),
+        window_ms: m.window_ms,
+        callback_count: m.callback_count,
+        valid_count: m.valid_count,
+        valid_ratio: m.valid_ratio.toFixed(3),
+        offscreen_ratio: m.offscreen_ratio.toFixed(3),
+        jitter_px: fixed(m.jitter_px, 1),
+        prediction_rate_hz: m.prediction_rate_hz.toFixed(1),
+        since_last_prediction_ms: m.since_last_ms != null ? Math.round(m.since_last_ms) : "",
+        quality_level: level,
+        quality_issues: issues.join("|"),
+        participant_prompt: prompt ? 1 : 0,
+      });
+      setQuality({ ...m, level, issues });
+      setLookPrompt(prompt);
+    }, qualityIntervalMs);
+    return () => clearInterval(timer);
+  }, [recording, qualityIntervalMs, qualityWindowMs, showLookPrompt]);
+
+  // Interaction events go to their own table; ts_ms uses the event's own timestamp so
+  // throttled moves and key presses line up with gaze samples
+  function makeEventRow(fields, eventTs) {
+    return {
+      session_id: sessionIdRef.current,
+      ts_ms: Math.round(eventTs - (recordingStartTsRef.current ?? 0)),
+      event_type: "",
+      x_px: "",
+      y_px: "",
+      button: "",
+      key_class: "",
+      key_repeat: "",
+      content_id: "",
+      content_type: "",
+      target_tag: "",
+      scroll_x: Math.round(window.scrollX || 0),
+      scroll_y: Math.round(window.scrollY || 0),
+      viewport_w: window.innerWidth,
+      viewport_h: window.innerHeight,
+      visibility_state: document.visibilityState,
+      has_focus: document.hasFocus() ? 1 : 0,
+      ...fields,
+    };
+  }
+
+  useEffect(() => {
+    if (!recording) return undefined;
+    const logger = createInteractionLogger({
+      onEvent: (fields, eventTs) => eventsRef.current.push(makeEventRow(fields, eventTs)),
+    });
+    logger.start();
+    return () => logger.stop();
+  }, [recording]);
+
+  // Webcam video for the whole recording. webcam_started / webcam_stopped rows place the file on
+  // the ts_ms clock and the video_frames table maps each frame's video time to ts_ms.
+  useEffect(() => {
+    if (!recording || !recordWebcam) return undefined;
+    const sid = sessionIdRef.current;
+    const id = safeUUID();
+    const tsMs = (perfTs) => Math.round((perfTs - (recordingStartTsRef.current ?? 0)) * 10) / 10;
+    let recorder;
+    let stored = null;
+    try {
+      recorder = createWebcamRecorder({
+        video: providerRef.current?.getVideoElement(),
+        onStart: (startTs, mimeType) => {
+          samplesRef.current.push(makeRow({ content_type: "webcam", event_type: "webcam_started", webcam_video_id: id }));
+          setWebcamStatus({ state: "recording", error: "" });
+          stored = { id, mimeType, startEpoch: perfToEpoch(startTs) };
+          if (persistSession) persist(saveWebcamVideo(sid, stored));
+        },
+        onChunk: (blob, seq) => {
+          if (persistSession) persist(appendAudioChunk(sid, id, seq, blob));
+        },
+        onMarker: (m) =>
+          videoFramesRef.current.push({
+            session_id: sid,
+            webcam_video_id: id,
+            ts_ms: tsMs(m.ts),
+            video_time_ms: Math.round(m.videoMs * 10) / 10,
+            media_time_ms: fixed(m.mediaTimeMs, 1),
+            frame_index: m.frameIndex ?? "",
+            marker_source: m.source,
+          }),
+      });
+      recorder.start();
+    } catch (e) {
+      const error = String(e?.message || e);
+      samplesRef.current.push(makeRow({ content_type: "webcam", event_type: "webcam_unavailable", webcam_error: error }));
+      setWebcamStatus({ state: "error", error });
+      return undefined;
+    }
+    return () => {
+      recorder.stop().then((rec) => {
+        setWebcamStatus(null);
+        if (rec && persistSession) {
+          persist(
+            saveWebcamVideo(sid, {
+              ...stored,
+              stopEpoch: perfToEpoch(rec.stopTs),
+              durationMs: rec.durationMs,
+              width: rec.width,
+              height: rec.height,
+              frameRate: rec.frameRate,
+            })
+          );
+        }
+        // A reset started a new session meanwhile; the video belongs to the old one
+        if (!rec || sessionIdRef.current !== sid) return;
+        webcamVideosRef.current.push({ id, sessionId: sid, ...rec });
+        samplesRef.current.push(
+          makeRow({ content_type: "webcam", event_type: "webcam_stopped", webcam_video_id: id, ts_ms: Math.round(tsMs(rec.stopTs)) })
+        );
       });
-    }, periodMs);
+    };
+  }, [recording, recordWebcam]);
+
+  // Appends rows that have not been written yet; samplesRef and eventsRef are append-only while a session lasts
+  function flushTable(kind, rows, countRef) {
+    const from = countRef.current;
+    if (from >= rows.length) return;
+    const batch = rows.slice(from);
+    countRef.current = rows.length;
+    if (persistSession) persist(appendRows(sessionIdRef.current, kind, batch));
+    uploaderRef.current?.enqueueRows(sessionIdRef.current, from, batch, kind);
+  }
+
+  function flushRows() {
+    if (!persistSession && !uploaderRef.current) return;
+    flushTable("samples", samplesRef.current, persistedCountRef);
+    flushTable("events", eventsRef.current, persistedEventsRef);
+    flushTable("raw_gaze", rawGazeRef.current, persistedRawRef);
+    flushTable("quality", qualityRowsRef.current, persistedQualityRef);
+    flushTable("audio_markers", audioMarkersRef.current, persistedMarkersRef);
+    flushTable("video_frames", videoFramesRef.current, persistedFramesRef);
+    flushTable("blinks", blinkRowsRef.current, persistedBlinksRef);
+  }
 
+  const flushRowsRef = useRef(flushRows);
+  flushRowsRef.current = flushRows;
+
+  useEffect(() => {
+    if (!recording || (!persistSession && !uploadEndpoint)) return undefined;
+    const timer = setInterval(() => flushRowsRef.current(), persistIntervalMs);
+    const onHide = () => {
+      if (document.visibilityState === "hidden") flushRowsRef.current();
+    };
+    document.addEventListener("visibilitychange", onHide);
     return () => {
-      if (intervalRef.current) clearInterval(intervalRef.current);
-      intervalRef.current = null;
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", onHide);
     };
-  }, [recording, sampleHz]);
+  }, [recording, persistSession, uploadEndpoint, persistIntervalMs]);
+
+  // Restores a session loaded from IndexedDB; recording continues on the original ts_ms clock
+  useEffect(() => {
+    if (!resumeSession?.session) return;
+    const { session, rows, audioSegments, webcamVideos = [] } = resumeSession;
+    sessionIdRef.current = session.id;
+    samplesRef.current = rows.samples || [];
+    persistedCountRef.current = samplesRef.current.length;
+    eventsRef.current = rows.events || [];
+    persistedEventsRef.current = eventsRef.current.length;
+    rawGazeRef.current = rows.raw_gaze || [];
+    persistedRawRef.current = rawGazeRef.current.length;
+    qualityRowsRef.current = rows.quality || [];
+    persistedQualityRef.current = qualityRowsRef.current.length;
+    audioMarkersRef.current = rows.audio_markers || [];
+    persistedMarkersRef.current = audioMarkersRef.current.length;
+    videoFramesRef.current = rows.video_frames || [];
+    persistedFramesRef.current = videoFramesRef.current.length;
+    blinkRowsRef.current = rows.blinks || [];
+    persistedBlinksRef.current = blinkRowsRef.current.length;
+    webcamVideosRef.current = webcamVideos
+      .filter((v) => v.startEpoch != null && v.blob.size > 0)
+      .map((v) => ({
+        id: v.id,
+        sessionId: session.id,
+        blob: v.blob,
+        mimeType: v.mimeType,
+        startTs: epochToPerf(v.startEpoch),
+        stopTs: v.stopEpoch != null ? epochToPerf(v.stopEpoch) : null,
+        durationMs: v.durationMs ?? null,
+        width: v.width ?? null,
+        height: v.height ?? null,
+        frameRate: v.frameRate ?? null,
+        interrupted: v.interrupted,
+      }));
+    resumeRef.current = session;
+    if (session.calibration) {
+      calibrationInfoRef.current = session.calibration.info;
+      calibrationQualityRef.current = session.calibration.report;
+    }
+    clearAudioRecordings();
+    restoreAudioRecordings(
+      audioSegments.map((seg) => {
+        const startTs = seg.startEpoch != null ? epochToPerf(seg.startEpoch) : null;
+        const stopTs = seg.stopEpoch != null ? epochToPerf(seg.stopEpoch) : startTs;
+        return {
+          id: seg.id,
+          startTs,
+          stopTs,
+          durationMs: seg.durationMs ?? (startTs != null ? stopTs - startTs : null),
+          mimeType: seg.mimeType,
+          blob: seg.blob,
+          meta: { session_id: session.id, ...seg.meta, question_id: bareQuestionId(seg.meta?.question_id) },
+          pauses: (seg.pauses || []).map((p) => ({ pauseTs: epochToPerf(p.pauseEpoch), resumeTs: epochToPerf(p.resumeEpoch) })),
+          input: seg.input ?? null,
+        };
+      })
+    );
+    setStatus("session restored: calibrate, then start to resume");
+    if (typeof onSessionIdChange === "function") onSessionIdChange(session.id);
+  }, [resumeSession]);
+
+  function faceFields() {
+    if (!trackFace) return {};
+    const f = faceLatestRef.current;
+    const fresh = f && performance.now() - f.ts <= faceStaleMs;
+    if (!fresh || !f.face) {
+      return {
+        face_detected: fresh ? 0 : "",
+        head_yaw_deg: "",
+        head_pitch_deg: "",
+        head_roll_deg: "",
+        face_distance_proxy: "",
+        eye_aspect_ratio: "",
+        blink: "",
+      };
+    }
+    return {
+      face_detected: 1,
+      head_yaw_deg: fixed(f.head_yaw_deg, 2),
+      head_pitch_deg: fixed(f.head_pitch_deg, 2),
+      head_roll_deg: fixed(f.head_roll_deg, 2),
+      face_distance_proxy: fixed(f.face_distance_proxy, 4),
+      eye_aspect_ratio: fixed(f.ear, 4),
+      blink: f.blink ? 1 : 0,
+    };
+  }
 
   function startCalibration() {
+    beginCalibration({ pattern: calibrationPattern, validate: validateCalibration, kind: "initial" });
+  }
+
+  // kind "initial" is the participant-facing calibration; "drift" is the short recalibration
+  // triggered by a failed drift check and resolves its caller through onDone.
+  // Returns false (with the reason in the status bar) when the pattern prop is not a known layout.
+  function beginCalibration({ pattern, validate, kind, onDone }) {
+    let grid;
+    try {
+      grid = makeCalibrationPoints(pattern, window.innerWidth, window.innerHeight, calibrationMargin);
+    } catch (e) {
+      setStatus(`calibration error: ${String(e?.message || e)}`);
+      return false;
+    }
     // ✅ hide camera preview right when calibration starts
     try {
-      window.webgazer?.showVideoPreview(false);
-      window.webgazer?.showFaceOverlay(false);
-      window.webgazer?.showPredictionPoints(false);
+      providerRef.current?.setOverlays({ prediction: false, face: false, video: false });
     } catch {}
+    const seed = calibrationOrder === "random" ? calibrationSeed ?? randomSeed() : null;
+    const order = makePointOrder(grid.length, calibrationOrder, seed);
+    const points = order.map((i) => grid[i]);
+    const dwell = calibrationMode === "dwell";
+    const settings = {
+      calib_pattern: grid.length,
+      calib_margin: calibrationMargin,
+      calib_order: calibrationOrder,
+      calib_seed: seed ?? "",
+      calib_point_order: order.join(";"),
+      calib_mode: dwell ? "dwell" : "click",
+      calib_clicks_per_point: dwell ? "" : clicksPerCalibrationPoint,
+      calib_dwell_ms: dwell ? calibrationDwellMs : "",
+      calib_dwell_settle_ms: dwell ? calibrationDwellSettleMs : "",
+      calib_dwell_sample_hz: dwell ? calibrationDwellSampleHz : "",
+      calib_viewport_w: window.innerWidth,
+      calib_viewport_h: window.innerHeight,
+      calib_started_at: new Date().toISOString(),
+      gaze_provider: providerRef.current?.name ?? "",
+    };
+    if (kind === "initial") calibrationInfoRef.current = { settings, points };
+    calibRunRef.current = { kind, validate, onDone, settings };
+    setCalibPts(points);
+    setValidationReport(null);
     setCalibrating(true);
     setCalibIdx(0);
     setCalibClicks(0);
     setStatus("calibrating");
+    return true;
+  }
+
+  function startValidation() {
+    validationSamplesRef.current = [];
+    setValidIdx(0);
+    setValidating(true);
+    setStatus("validating");
+  }
+
+  function finishCalibration() {
+    setValidationReport(null);
+    if (persistSession) {
+      persist(
+        updateSession(sessionIdRef.current, {
+          calibration: { info: calibrationInfoRef.current, report: calibrationQualityRef.current },
+        })
+      );
+    }
+    setStatus("calibration done");
+    if (typeof onCalibrationDone === "function") onCalibrationDone();
+  }
+
+  function advanceCalibration() {
+    const nextIdx = calibIdx + 1;
+    setCalibIdx(nextIdx);
+    setCalibClicks(0);
+
+    if (nextIdx >= calibPts.length) {
+      setCalibrating(false);
+      const run = calibRunRef.current;
+      if (run?.kind === "drift") run.onDone?.(run);
+      else if (run?.validate) startValidation();
+      else finishCalibration();
+    }
   }
 
   function onCalibDotClick(x, y) {
     try {
-      window.webgazer.recordScreenPosition(x, y, "click");
+      providerRef.current?.calibrate(x, y);
     } catch {}
 
     const nextClicks = calibClicks + 1;
     setCalibClicks(nextClicks);
 
-    if (nextClicks >= clicksPerCalibrationPoint) {
-      const nextIdx = calibIdx + 1;
-      setCalibIdx(nextIdx);
-      setCalibClicks(0);
+    if (nextClicks >= clicksPerCalibrationPoint) advanceCalibration();
+  }
 
-      if (nextIdx >= calibPts.length) {
-        setCalibrating(false);
-        setStatus("calibration done");
-        if (typeof onCalibrationDone === "function") onCalibrationDone();
-      }
+  // Dwell mode: no clicks; after a settle delay the current point is fed to the gaze provider at a fixed rate
+  useEffect(() => {
+    if (!calibrating || calibrationMode !== "dwell") return undefined;
+    if (calibIdx >= calibPts.length) return undefined;
+
+    const [x, y] = calibPts[calibIdx];
+    let feedTimer = null;
+    const settleTimer = setTimeout(() => {
+      const periodMs = Math.max(20, Math.round(1000 / calibrationDwellSampleHz));
+      feedTimer = setInterval(() => {
+        try {
+          providerRef.current?.calibrate(x, y);
+        } catch {}
+        setCalibClicks((n) => n + 1);
+      }, periodMs);
+    }, calibrationDwellSettleMs);
+    const doneTimer = setTimeout(advanceCalibration, Math.max(calibrationDwellMs, calibrationDwellSettleMs));
+
+    return () => {
+      clearTimeout(settleTimer);
+      clearTimeout(doneTimer);
+      if (feedTimer) clearInterval(feedTimer);
+    };
+  }, [
+    calibrating,
+    calibIdx,
+    calibPts,
+    calibrationMode,
+    calibrationDwellMs,
+    calibrationDwellSettleMs,
+    calibrationDwellSampleHz,
+    validateCalibration,
+  ]);
+
+  function runDriftCheck({ questionId = "" } = {}) {
+    if (!recording || calibrating || validating || driftTarget) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      const target = [Math.round(window.innerWidth / 2), Math.round(window.innerHeight / 2)];
+      const bucket = [];
+      const tap = (g) => bucket.push(g);
+      setDriftTarget(target);
+      setStatus("drift check");
+
+      const settleTimer = setTimeout(() => gazeTapsRef.current.add(tap), driftCheckSettleMs);
+      const doneTimer = setTimeout(() => {
+        driftCheckRef.current = null;
+        gazeTapsRef.current.delete(tap);
+        setDriftTarget(null);
+
+        const q = computePointQuality(target, bucket, { w: window.innerWidth, h: window.innerHeight });
+        // No samples means the error is unknown; treat it like a failed check
+        const recalibrate = q.accuracy_px == null || q.accuracy_px > driftCheckMaxErrorPx;
+        const result = {
+          question_id: questionId,
+          error_px: q.accuracy_px,
+          error_norm: q.accuracy_norm,
+          sample_count: q.sample_count,
+          recalibrated: recalibrate,
+        };
+
+        samplesRef.current.push(
+          makeRow({
+            content_type: "drift_check",
+            question_id: questionId,
+            event_type: "drift_check",
+            drift_target_x_px: target[0],
+            drift_target_y_px: target[1],
+            drift_mean_x_px: q.mean_x_px ?? "",
+            drift_mean_y_px: q.mean_y_px ?? "",
+            drift_error_px: q.accuracy_px ?? "",
+            drift_error_norm: q.accuracy_norm ?? "",
+            drift_sample_count: q.sample_count,
+            drift_max_error_px: driftCheckMaxErrorPx,
+            drift_recalibrate: recalibrate ? 1 : 0,
+          })
+        );
+
+        if (!recalibrate) {
+          setStatus("recording");
+          resolve(result);
+          return;
+        }
+
+        driftCheckRef.current = { timers: [], tap, resolve, recalibrating: true };
+        const started = beginCalibration({
+          pattern: driftRecalibrationPattern,
+          validate: false,
+          kind: "drift",
+          onDone: (run) => {
+            driftCheckRef.current = null;
+            samplesRef.current.push(
+              makeRow({
+                content_type: "drift_check",
+                question_id: questionId,
+                event_type: "drift_recalibration",
+                calib_pattern: run.settings.calib_pattern,
+                calib_mode: run.settings.calib_mode,
+                calib_point_order: run.settings.calib_point_order,
+              })
+            );
+            setStatus("recording");
+            resolve(result);
+          },
+        });
+        // The status bar keeps the calibration error; recording goes on uncorrected
+        if (!started) {
+          driftCheckRef.current = null;
+          resolve({ ...result, recalibrated: false });
+        }
+      }, driftCheckSettleMs + driftCheckCollectMs);
+      driftCheckRef.current = { timers: [settleTimer, doneTimer], tap, resolve };
+    });
+  }
+
+  // Page state paired with a raw gaze sample at (x, y). The drift target / recalibration covers
+  // the question, so while it is shown there is no content, question or stimulus context.
+  function captureContext(tsMs, x, y) {
+    const overlay = driftOverlay();
+    return {
+      ts_ms: tsMs,
+      overlay,
+      dom: overlay ? null : getDomContextAtPoint(x, y),
+      questionId: overlay ? "" : getActiveQuestionId(),
+      stimulus: overlay ? null : captureStimulus(),
+      face: faceFields(),
+      scrollX: window.scrollX || 0,
+      scrollY: window.scrollY || 0,
+    };
+  }
+
+  // "drift_check" while the drift target is shown, "drift_recalibration" during the recalibration
+  // it started, "" otherwise
+  function driftOverlay() {
+    const check = driftCheckRef.current;
+    if (!check) return "";
+    return check.recalibrating ? "drift_recalibration" : "drift_check";
+  }
+
+  // Stopping (or unmounting) mid-check drops the check and any recalibration it started; its
+  // promise resolves with null
+  function cancelDriftCheck() {
+    const check = driftCheckRef.current;
+    if (!check) return;
+    driftCheckRef.current = null;
+    check.timers.forEach(clearTimeout);
+    gazeTapsRef.current.delete(check.tap);
+    setDriftTarget(null);
+    if (check.recalibrating && calibRunRef.current?.kind === "drift") {
+      calibRunRef.current = null;
+      setCalibrating(false);
     }
+    check.resolve(null);
   }
 
+  useEffect(() => cancelDriftCheck, []);
+
+  driftCheckImplRef.current = runDriftCheck;
+  const driftCheck = useCallback((meta) => driftCheckImplRef.current(meta), []);
+
+  useEffect(() => {
+    if (typeof onRegisterDriftCheckHandler === "function") {
+      onRegisterDriftCheckHandler(driftCheck);
+      return () => onRegisterDriftCheckHandler(null);
+    }
+  }, [onRegisterDriftCheckHandler, driftCheck]);
+
+  // Validation: show each target, let the eyes settle, then collect listener samples
+  useEffect(() => {
+    if (!validating) return undefined;
+
+    if (validIdx >= validPts.length) {
+      const report = computeValidationReport(
+        validPts,
+        validationSamplesRef.current,
+        { w: window.innerWidth, h: window.innerHeight },
+        validationMaxErrorPx
+      );
+      calibrationQualityRef.current = report;
+      setValidating(false);
+      setValidationReport(report);
+      setStatus(report.passed ? "validation passed" : "validation failed");
+      return undefined;
+    }
+
+    const bucket = [];
+    const tap = (g) => bucket.push(g);
+    const settleTimer = setTimeout(() => gazeTapsRef.current.add(tap), validationSettleMs);
+    const doneTimer = setTimeout(() => {
+      gazeTapsRef.current.delete(tap);
+      validationSamplesRef.current[validIdx] = bucket;
+      setValidIdx((i) => i + 1);
+    }, validationSettleMs + validationCollectMs);
+
+    return () => {
+      clearTimeout(settleTimer);
+      clearTimeout(doneTimer);
+      gazeTapsRef.current.delete(tap);
+    };
+  }, [validating, validIdx, validPts, validationSettleMs, validationCollectMs, validationMaxErrorPx]);
+
   function startRecording() {
-    samplesRef.current = [];
-    recordingStartTsRef.current = performance.now();
-    clearAudioRecordings();
+    const resumed = resumeRef.current;
+    resumeRef.current = null;
+    if (resumed?.recordingStartedAtEpoch != null) {
+      recordingStartTsRef.current = epochToPerf(resumed.recordingStartedAtEpoch);
+    } else {
+      samplesRef.current = [];
+      persistedCountRef.current = 0;
+      eventsRef.current = [];
+      persistedEventsRef.current = 0;
+      rawGazeRef.current = [];
+      persistedRawRef.current = 0;
+      qualityRowsRef.current = [];
+      persistedQualityRef.current = 0;
+      audioMarkersRef.current = [];
+      persistedMarkersRef.current = 0;
+      videoFramesRef.current = [];
+      persistedFramesRef.current = 0;
+      blinkRowsRef.current = [];
+      persistedBlinksRef.current = 0;
+      webcamVideosRef.current = [];
+      recordingStartTsRef.current = performance.now();
+      clearAudioRecordings();
+      speechAnalysisRef.current.clear();
+      wavRef.current.clear();
+    }
+    setAoiSummary(null);
+    clearBlinks();
     audioSegmentIdRef.current = null;
+    autoAudioRef.current = null;
+    if (persistSession) {
+      persist(
+        updateSession(sessionIdRef.current, {
+          status: "active",
+          recordingStartedAtEpoch: perfToEpoch(recordingStartTsRef.current),
+          sampleHz,
+          gazeProvider: providerRef.current?.name ?? gazeProvider,
+          // Recovery rebuilds the analysis and audio files (fixations, speech detection, WAV copies)
+          // with the same settings
+          eventDetection: eventDetection ?? null,
+          voiceActivityDetection: { ...DEFAULT_VAD_OPTIONS, ...voiceActivityDetection },
+          audio: { mode: audioMode, exportWav, wavSampleRate, input: audioInput },
+          viewport_w: window.innerWidth,
+          viewport_h: window.innerHeight,
+        })
+      );
+    }
+    if (resumed) {
+      samplesRef.current.push(makeRow({ content_type: "session", event_type: "session_resumed" }));
+    }
+    if (audioMode === "continuous" && audioSupported) {
+      queueAudio(() => startAudioRecording({ questionId: "", capture: "continuous" }));
+    }
     setRecording(true);
     setStatus("recording");
     if (typeof onStartRecording === "function") onStartRecording();
   }
 
+  // The previous session stays "active" in IndexedDB, so an accidental restart can be recovered
   const resetSession = () => {
+    flushRows();
     sessionIdRef.current = safeUUID();
     samplesRef.current = [];
+    persistedCountRef.current = 0;
+    eventsRef.current = [];
+    persistedEventsRef.current = 0;
+    rawGazeRef.current = [];
+    persistedRawRef.current = 0;
+    qualityRowsRef.current = [];
+    persistedQualityRef.current = 0;
+    audioMarkersRef.current = [];
+    persistedMarkersRef.current = 0;
+    videoFramesRef.current = [];
+    persistedFramesRef.current = 0;
+    webcamVideosRef.current = [];
+    resumeRef.current = null;
     recordingStartTsRef.current = null;
     setRecording(false);
+    setAoiSummary(null);
     setStatus("ready");
-    if (audioRecordingRef.current) {
-      stopAudio();
-    }
+    closeAudioMarker();
+    stopAudio();
+    autoAudioRef.current = null;
     if (typeof onSessionIdChange === "function") onSessionIdChange(sessionIdRef.current);
   };
 
@@ -410,8 +1399,8 @@ export default function GazeRecorder({
     if (typeof onPsychometricStop === "function") onPsychometricStop();
   };
 
-  const handleDownloadAllCsvs = () => {
-    if (typeof onDownloadAllCsvs === "function") onDownloadAllCsvs();
+  const handleExportSession = () => {
+    if (typeof onExportSession === "function") onExportSession();
   };
 
   const handleRestartSession = () => {
@@ -421,64 +1410,245 @@ export default function GazeRecorder({
   function stopRecording() {
     setRecording(false);
     setStatus("stopped");
-    if (audioRecordingRef.current) {
-      stopAudio();
-    }
+    cancelDriftCheck();
+    closeAudioMarker();
+    stopAudio();
     audioSegmentIdRef.current = null;
+    autoAudioRef.current = null;
+    flushRows();
+    setAoiSummary(analyzeSession(samplesRef.current, eventDetection).aoi);
   }
 
-  function download() {
+  // Every file of the session export; App adds the form CSVs, packs them into one ZIP and calls
+  // markExported once the ZIP is built, so a failed export leaves the session recoverable
+  async function collectExportFiles() {
+    const sid = sessionIdRef.current;
     const rows = samplesRef.current;
-    if (!rows.length) return;
-    downloadCsv(`gaze_session_${sessionIdRef.current}.csv`, rows);
+    const analysis = analyzeSession(rows, eventDetection);
+    const files = [
+      ...tableFiles(sid, {
+        samples: rows,
+        raw_gaze: rawGazeRef.current,
+        events: eventsRef.current,
+        quality: qualityRowsRef.current,
+        audio_markers: audioMarkersRef.current,
+        video_frames: videoFramesRef.current,
+        blinks: blinkRowsRef.current,
+      }),
+      csvFile(
+        `calibration_${sid}.csv`,
+        calibrationReportRows(sid, { info: calibrationInfoRef.current, report: calibrationQualityRef.current })
+      ),
+      ...analysisFiles(sid, analysis),
+      ...(await audioExportFiles(sid, audioClips(), {
+        samples: rows,
+        analyze: analyzeClip,
+        toWav: exportWav ? wavFor : null,
+        markers: audioMarkersRef.current,
+      })),
+      ...sessionWebcamVideos().map((v) => ({ name: webcamFileName(v), data: v.blob })),
+    ];
+
+    const markExported = () => {
+      if (persistSession && !recording) {
+        flushRows();
+        persist(markSessionExported(sid));
+      }
+    };
+    return { files, manifest: exportManifest(analysis.options), markExported };
+  }
+
+  function exportManifest(eventOptions) {
+    const report = calibrationQualityRef.current;
+    const start = recordingStartTsRef.current;
+    return {
+      session_id: sessionIdRef.current,
+      recording_started_at: start != null ? new Date(perfToEpoch(start)).toISOString() : null,
+      sample_hz: sampleHz,
+      gaze_provider: providerRef.current?.name ?? gazeProvider,
+      sample_count: samplesRef.current.filter((r) => r.event_type === "gaze").length,
+      row_count: samplesRef.current.length,
+      interaction_event_count: eventsRef.current.length,
+      raw_gaze_count: rawGazeRef.current.length,
+      resampling: {
+        method: resampleMethod,
+        delay_ms: resampleDelayMs,
+        max_gap_ms: resampleMaxGapMs,
+        stale_ms: staleGazeMs,
+      },
+      quality_monitor: {
+        interval_ms: qualityIntervalMs,
+        window_ms: qualityWindowMs,
+        thresholds: { ...DEFAULT_QUALITY_THRESHOLDS, ...qualityThresholds },
+      },
+      audio_clip_count: audioRecordings.length,
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        device_pixel_ratio: window.devicePixelRatio || 1,
+        screen_width: window.screen?.width ?? null,
+        screen_height: window.screen?.height ?? null,
+      },
+      calibration: {
+        settings: calibrationInfoRef.current?.settings ?? null,
+        validation: report
+          ? {
+              accuracy_px: report.accuracy_px,
+              accuracy_norm: report.accuracy_norm,
+              precision_rms_px: report.precision_rms_px,
+              precision_rms_norm: report.precision_rms_norm,
+              max_error_px: report.max_error_px,
+              passed: report.passed,
+            }
+          : null,
+      },
+      event_detection: eventOptions,
+      voice_activity_detection: { ...DEFAULT_VAD_OPTIONS, ...voiceActivityDetection },
+      audio: audioManifest({
+        mode: audioMode,
+        exportWav,
+        wavSampleRate,
+        markerCount: audioMarkersRef.current.length,
+        input: audioInput,
+      }),
+      webcam_video: {
+        enabled: recordWebcam,
+        frame_marker_count: videoFramesRef.current.length,
+        videos: sessionWebcamVideos().map((v) =>
+          webcamManifestEntry({
+            ...v,
+            startTsMs: v.startTs - (start ?? 0),
+            stopTsMs: v.stopTs != null ? v.stopTs - (start ?? 0) : null,
+          })
+        ),
+      },
+      user_agent: navigator.userAgent,
+    };
   }
 
   useEffect(() => {
-    if (typeof onRegisterDownloadHandler === "function") {
-      onRegisterDownloadHandler(download);
-      return () => onRegisterDownloadHandler(null);
+    if (typeof onRegisterExportHandler === "function") {
+      onRegisterExportHandler(collectExportFiles);
+      return () => onRegisterExportHandler(null);
     }
-  }, [onRegisterDownloadHandler, download]);
+  }, [onRegisterExportHandler, collectExportFiles]);
 
-  async function startAudioRecording() {
-    if (!recording) return;
-    if (!audioSupported) return;
-    const questionId = getActiveQuestionId();
+  async function startAudioRecording({ questionId = getActiveQuestionId(), capture = "manual" } = {}) {
+    if (!recording && capture !== "continuous") return null;
+    if (!audioSupported) return null;
+    if (audioMode === "continuous" && capture !== "continuous") return openAudioMarker(questionId, capture);
     const id = safeUUID();
-    const startedId = await startAudio({
-      id,
-      meta: { question_id: questionId, session_id: sessionIdRef.current },
-    });
+    const meta = { question_id: questionId, session_id: sessionIdRef.current, capture };
+    const startedId = await startAudio({ id, meta });
     if (startedId) {
       audioSegmentIdRef.current = startedId;
+      // Written again with stop time when the segment ends; until then recovery marks it interrupted
+      storeAudioSegment({
+        id: startedId,
+        startEpoch: Date.now(),
+        stopEpoch: null,
+        durationMs: null,
+        mimeType: "",
+        meta,
+      });
     }
+    return startedId;
   }
 
   function stopAudioRecording() {
+    autoAudioRef.current = null;
+    if (audioMode === "continuous") {
+      closeAudioMarker();
+      return;
+    }
     stopAudio();
     audioSegmentIdRef.current = null;
   }
 
+  function stopAudioSegment(id) {
+    if (audioMode === "continuous") return Promise.resolve(closeAudioMarker(id));
+    return stopAudio(id);
+  }
+
+  // Continuous mode: the session track records from Start to Stop (queued in startRecording, so it
+  // is running before the first question's marker); question segments become markers with the
+  // same no-overlap rules as recorded segments
+  function openAudioMarker(questionId, capture) {
+    const id = safeUUID();
+    const meta = { question_id: questionId, session_id: sessionIdRef.current, capture };
+    const track = getActiveAudioSegment();
+    if (!track || openMarkerRef.current) {
+      logAudioReject({ id, meta, reason: track ? "overlap" : "no_track", activeId: openMarkerRef.current?.id });
+      return null;
+    }
+    openMarkerRef.current = { id, meta, track, startTs: performance.now() };
+    setMarkerOpen(true);
+    return id;
+  }
+
+  function closeAudioMarker(id) {
+    const marker = openMarkerRef.current;
+    if (!marker || (id != null && id !== marker.id)) {
+      if (id != null) logAudioReject({ id, meta: null, reason: marker ? "mismatch" : "not_recording", activeId: marker?.id });
+      return null;
+    }
+    const base = recordingStartTsRef.current ?? 0;
+    const stopTs = performance.now();
+    audioMarkersRef.current.push({
+      session_id: sessionIdRef.current,
+      audio_track_id: marker.track.id,
+      marker_id: marker.id,
+      question_id: marker.meta.question_id || "",
+      capture: marker.meta.capture,
+      start_ts_ms: Math.round(marker.startTs - base),
+      stop_ts_ms: Math.round(stopTs - base),
+      duration_ms: Math.round(stopTs - marker.startTs),
+      track_offset_start_ms: Math.round(marker.startTs - marker.track.startTs),
+      track_offset_stop_ms: Math.round(stopTs - marker.track.startTs),
+    });
+    openMarkerRef.current = null;
+    setMarkerOpen(false);
+    return marker.id;
+  }
+
+  function sessionWebcamVideos() {
+    return webcamVideosRef.current.filter((v) => v.sessionId === sessionIdRef.current);
+  }
+
   function downloadLatestAudio() {
     if (!latestRecording) return;
-    const ext = guessAudioExt(latestRecording.mimeType);
-    downloadBlob(`audio_segment_${latestRecording.id}.${ext}`, latestRecording.blob);
-  }
-
-  function downloadAudioLog() {
-    if (!audioRecordings.length) return;
-    const base = recordingStartTsRef.current;
-    const rows = audioRecordings.map((rec) => ({
-      session_id: rec.meta?.session_id || sessionIdRef.current,
-      audio_segment_id: rec.id,
-      question_id: rec.meta?.question_id || "",
-      start_ts_ms: Math.round((rec.startTs ?? 0) - (base ?? 0)),
-      stop_ts_ms: Math.round((rec.stopTs ?? 0) - (base ?? 0)),
-      duration_ms: Math.round(rec.durationMs ?? 0),
-      mime_type: rec.mimeType || "",
-      filename: `audio_segment_${rec.id}.${guessAudioExt(rec.mimeType)}`,
-    }));
-    downloadCsv(`audio_segments_${sessionIdRef.current}.csv`, rows);
+    downloadBlob(audioClipFileName(latestRecording), latestRecording.blob);
+  }
+
+  // Finished segments of this session on the ts_ms clock (see sessionExport.js)
+  function audioClips() {
+    const base = recordingStartTsRef.current ?? 0;
+    return audioRecordings.map((rec) => clipFromRecording(rec, base, sessionIdRef.current));
+  }
+
+  // Decoding is done once per clip; later exports reuse the result
+  function analyzeClip(clip) {
+    let pending = speechAnalysisRef.current.get(clip.id);
+    if (!pending) {
+      pending = analyzeClipSpeech(clip, voiceActivityDetection);
+      speechAnalysisRef.current.set(clip.id, pending);
+    }
+    return pending;
+  }
+
+  function wavFor(clip) {
+    let pending = wavRef.current.get(clip.id);
+    if (!pending) {
+      pending = clipToWav(clip, wavSampleRate);
+      wavRef.current.set(clip.id, pending);
+    }
+    return pending;
+  }
+
+  async function downloadAudioLog() {
+    const clips = audioClips();
+    const { summaries } = await speechExport(clips, samplesRef.current, analyzeClip);
+    downloadCsv(`audio_segments_${sessionIdRef.current}.csv`, audioSegmentRows(clips, summaries));
   }
 
   return (
@@ -488,14 +1658,14 @@ export default function GazeRecorder({
           Status: <b>{status}</b>
         </div>
 
-        <button style={btnStyle} onClick={startCalibration} disabled={!ready || recording}>
+        <button style={btnStyle} onClick={startCalibration} disabled={!ready || recording || validating}>
           Calibrate
         </button>
 
         <button
           style={btnStyle}
           onClick={startRecording}
-          disabled={!ready || calibrating || recording || startBlocked}
+          disabled={!ready || calibrating || validating || recording || startBlocked}
           title={startBlocked ? startBlockedReason : ""}
         >
           Gaze Recorder Start
@@ -507,17 +1677,42 @@ export default function GazeRecorder({
 
         <button
           style={btnStyle}
-          onClick={startAudioRecording}
-          disabled={!recording || calibrating || audioRecording || !audioSupported}
-          title={!audioSupported ? "Audio not supported in this browser" : ""}
+          onClick={() => startAudioRecording()}
+          disabled={
+            !recording ||
+            calibrating ||
+            !audioSupported ||
+            (audioMode === "continuous" ? markerOpen || !audioRecording : audioRecording)
+          }
+          title={
+            !audioSupported
+              ? "Audio not supported in this browser"
+              : audioMode === "continuous"
+              ? "Mark the start of a segment in the session audio track"
+              : ""
+          }
         >
           Audio Start
         </button>
 
-        <button style={btnStyle} onClick={stopAudioRecording} disabled={!audioRecording}>
+        <button
+          style={btnStyle}
+          onClick={stopAudioRecording}
+          disabled={audioMode === "continuous" ? !markerOpen : !audioRecording}
+        >
           Audio Stop
         </button>
 
+        {audioMode !== "continuous" && (
+          <button
+            style={btnStyle}
+            onClick={audioPaused ? resumeAudio : pauseAudio}
+            disabled={!audioRecording}
+          >
+            {audioPaused ? "Audio Resume" : "Audio Pause"}
+          </button>
+        )}
+
         <button style={btnStyle} onClick={downloadLatestAudio} disabled={!latestRecording}>
           Download Audio
         </button>
@@ -538,8 +1733,16 @@ export default function GazeRecorder({
           Restart Session
         </button>
 
-        <button style={btnStyle} onClick={handleDownloadAllCsvs}>
-          Download CSVs
+        <button style={btnStyle} onClick={handleExportSession} title="One ZIP with all CSVs, audio clips and a manifest">
+          Export Session (ZIP)
+        </button>
+
+        <button style={btnStyle} onClick={() => setHeatmapRows(samplesRef.current.slice())}>
+          Heatmap
+        </button>
+
+        <button style={btnStyle} onClick={() => setReplayOpen(true)} disabled={recording}>
+          Replay
         </button>
 
         <div style={{ opacity: 0.8, fontSize: 12 }}>
@@ -549,9 +1752,103 @@ export default function GazeRecorder({
         <div style={{ opacity: 0.8, fontSize: 12 }}>
           Audio: <b>{audioRecording ? "recording" : "idle"}</b> • Clips:{" "}
           <b>{audioRecordings.length}</b>
+          {markerOpen && <> • Marker <b>open</b></>}
+          {audioPaused && <> • <b>paused</b></>}
         </div>
+
+        {audioSupported && (
+          <div style={{ display: "flex", alignItems: "center", gap: 4, opacity: 0.8, fontSize: 12 }}>
+            Mic:
+            <select
+              style={selectStyle}
+              value={audioInput.deviceId}
+              onChange={(e) => setAudioInput((prev) => ({ ...prev, deviceId: e.target.value }))}
+              onFocus={() => {
+                if (!audioInputOpen) openAudioInput();
+              }}
+              title="Input device; a change applies to the next audio segment"
+            >
+              <option value="">Default</option>
+              {audioDevices
+                .filter((d) => d.deviceId && d.deviceId !== "default")
+                .map((d) => (
+                  <option key={d.deviceId} value={d.deviceId}>
+                    {d.label}
+                  </option>
+                ))}
+            </select>
+            <label title="Echo cancellation">
+              <input
+                type="checkbox"
+                checked={audioInput.echoCancellation}
+                onChange={(e) => setAudioInput((prev) => ({ ...prev, echoCancellation: e.target.checked }))}
+              />
+              EC
+            </label>
+            <label title="Noise suppression">
+              <input
+                type="checkbox"
+                checked={audioInput.noiseSuppression}
+                onChange={(e) => setAudioInput((prev) => ({ ...prev, noiseSuppression: e.target.checked }))}
+              />
+              NS
+            </label>
+            {audioInputOpen && <AudioLevelMeter getLevel={getAudioLevel} />}
+          </div>
+        )}
+
+        {persistSession && (
+          <div style={{ opacity: 0.8, fontSize: 12 }} title={persistError}>
+            Backup: <b>{persistError ? "error" : "on"}</b>
+          </div>
+        )}
+
+        {uploadStatus && (
+          <div
+            style={{ opacity: 0.8, fontSize: 12 }}
+            title={`${uploadEndpoint}\nSent ${uploadStatus.sent} • Failed ${uploadStatus.failed}${
+              uploadStatus.lastError ? `\nLast error: ${uploadStatus.lastError}` : ""
+            }`}
+          >
+            Upload:{" "}
+            <b style={{ color: uploadStatus.failed ? "#f44336" : uploadStatus.state === "idle" ? "inherit" : "#ffb74d" }}>
+              {uploadStatus.state}
+            </b>
+            {uploadStatus.pending > 0 && <> • Queue <b>{uploadStatus.pending}</b></>}
+          </div>
+        )}
+
+        {trackFace && (
+          <div style={{ opacity: 0.8, fontSize: 12 }} title={faceError}>
+            Face: <b>{faceError ? "error" : faceStatus}</b>
+          </div>
+        )}
+
+        {webcamStatus && (
+          <div style={{ opacity: 0.8, fontSize: 12 }} title={webcamStatus.error}>
+            Webcam: <b style={{ color: webcamStatus.error ? "#f44336" : "inherit" }}>{webcamStatus.state}</b>
+          </div>
+        )}
+
+        {quality && (
+          <div style={{ opacity: 0.8, fontSize: 12 }} title={qualityTitle(quality)}>
+            Quality: <b style={{ color: QUALITY_COLORS[quality.level] }}>{quality.level}</b>
+          </div>
+        )}
       </div>
 
+      {lookPrompt && !calibrating && !validating && !driftTarget && (
+        <div style={lookPromptStyle} role="status">
+          Please look at the screen
+        </div>
+      )}
+
+      {audioInputSilent && !audioError && (
+        <div style={{ ...barStyle, top: 48, background: "rgba(120,80,0,0.8)" }}>
+          No sound from the microphone for a few seconds. Check that it is connected and not muted.
+        </div>
+      )}
+
       {audioError && (
         <div style={{ ...barStyle, top: 48, background: "rgba(120,0,0,0.75)" }}>
           Audio error: <b>{audioError}</b>
@@ -566,10 +1863,24 @@ export default function GazeRecorder({
           <div style={overlayTextStyle}>
             <div style={{ fontSize: 16, fontWeight: 700 }}>Calibration</div>
             <div style={{ fontSize: 13, opacity: 0.9, marginTop: 6 }}>
-              Look at the dot and click it <b>{clicksPerCalibrationPoint}</b> times.
+              {calibrationMode === "dwell" ? (
+                <>Look at the dot until it shrinks away. No clicking needed.</>
+              ) : (
+                <>
+                  Look at the dot and click it <b>{clicksPerCalibrationPoint}</b> times.
+                </>
+              )}
               <div style={{ marginTop: 6 }}>
-                Point <b>{Math.min(calibIdx + 1, calibPts.length)}</b>/{calibPts.length} • Clicks{" "}
-                <b>{calibClicks}</b>/{clicksPerCalibrationPoint}
+                Point <b>{Math.min(calibIdx + 1, calibPts.length)}</b>/{calibPts.length}
+                {calibrationMode === "dwell" ? (
+                  <>
+                    {" "}• Samples <b>{calibClicks}</b>
+                  </>
+                ) : (
+                  <>
+                    {" "}• Clicks <b>{calibClicks}</b>/{clicksPerCalibrationPoint}
+                  </>
+                )}
               </div>
             </div>
             <div style={{ marginTop: 10, fontSize: 12, opacity: 0.8 }}>
@@ -577,16 +1888,101 @@ export default function GazeRecorder({
             </div>
           </div>
 
-          {calibIdx < calibPts.length && (
-            <CalibrationDot x={calibPts[calibIdx][0]} y={calibPts[calibIdx][1]} onClick={onCalibDotClick} />
+          {calibIdx < calibPts.length &&
+            (calibrationMode === "dwell" ? (
+              <DwellDot key={calibIdx} x={calibPts[calibIdx][0]} y={calibPts[calibIdx][1]} durationMs={calibrationDwellMs} />
+            ) : (
+              <CalibrationDot x={calibPts[calibIdx][0]} y={calibPts[calibIdx][1]} onClick={onCalibDotClick} />
+            ))}
+        </div>
+      )}
+
+      {validating && (
+        <div style={overlayStyle}>
+          <div style={overlayTextStyle}>
+            <div style={{ fontSize: 16, fontWeight: 700 }}>Validation</div>
+            <div style={{ fontSize: 13, opacity: 0.9, marginTop: 6 }}>
+              Look at each dot until it moves. No clicking needed.
+              <div style={{ marginTop: 6 }}>
+                Point <b>{Math.min(validIdx + 1, validPts.length)}</b>/{validPts.length}
+              </div>
+            </div>
+          </div>
+
+          {validIdx < validPts.length && (
+            <CalibrationDot x={validPts[validIdx][0]} y={validPts[validIdx][1]} color="rgba(120,220,255,0.95)" />
           )}
         </div>
       )}
+
+      {driftTarget && (
+        <div style={overlayStyle}>
+          <div style={overlayTextStyle}>
+            <div style={{ fontSize: 16, fontWeight: 700 }}>Quick check</div>
+            <div style={{ fontSize: 13, opacity: 0.9, marginTop: 6 }}>Look at the dot in the middle.</div>
+          </div>
+          <CalibrationDot x={driftTarget[0]} y={driftTarget[1]} color="rgba(120,220,255,0.95)" />
+        </div>
+      )}
+
+      {aoiSummary && <AoiSummary rows={aoiSummary} onClose={() => setAoiSummary(null)} />}
+
+      {heatmapRows && <HeatmapViewer rows={heatmapRows} onClose={() => setHeatmapRows(null)} />}
+
+      {replayOpen && <ReplayViewer bank={questionBank} onClose={() => setReplayOpen(false)} />}
+
+      {validationReport && (
+        <ValidationReportPanel
+          report={validationReport}
+          onRecalibrate={startCalibration}
+          onAccept={finishCalibration}
+        />
+      )}
     </>
   );
 }
 
-function CalibrationDot({ x, y, onClick }) {
+const QUALITY_COLORS = { good: "#81c784", warn: "#ffb74d", lost: "#f44336" };
+
+function qualityTitle(q) {
+  const pct = (r) => `${Math.round(r * 100)}%`;
+  return [
+    `Valid: ${pct(q.valid_ratio)} (${q.prediction_rate_hz.toFixed(1)} Hz)`,
+    `Off-screen: ${pct(q.offscreen_ratio)}`,
+    `Jitter: ${q.jitter_px != null ? `${Math.round(q.jitter_px)} px` : "-"}`,
+    `Last prediction: ${q.since_last_ms != null ? `${Math.round(q.since_last_ms)} ms ago` : "none"}`,
+    q.issues.length ? `Issues: ${q.issues.join(", ")}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Input level in dBFS from -60 (empty) to 0 (full); polled at 10 Hz so only the meter re-renders
+function AudioLevelMeter({ getLevel }) {
+  const [level, setLevel] = useState(0);
+  useEffect(() => {
+    const timer = setInterval(() => setLevel(getLevel()), 100);
+    return () => clearInterval(timer);
+  }, [getLevel]);
+  const db = level > 0 ? 20 * Math.log10(level) : -60;
+  const fill = Math.max(0, Math.min(1, (db + 60) / 60));
+  return (
+    <div
+      title={`${Math.round(db)} dBFS`}
+      style={{ width: 60, height: 8, borderRadius: 4, background: "rgba(255,255,255,0.15)", overflow: "hidden" }}
+    >
+      <div
+        style={{
+          width: `${fill * 100}%`,
+          height: "100%",
+          background: fill > 0.9 ? "#f44336" : fill > 0.15 ? "#81c784" : "#ffb74d",
+        }}
+      />
+    </div>
+  );
+}
+
+function CalibrationDot({ x, y, onClick, color = "rgba(255,255,255,0.95)" }) {
   return (
     <div
       onClick={() => onClick?.(x, y)}
@@ -597,15 +1993,128 @@ function CalibrationDot({ x, y, onClick }) {
         width: 24,
         height: 24,
         borderRadius: 999,
-        background: "rgba(255,255,255,0.95)",
+        background: color,
         boxShadow: "0 0 0 7px rgba(255,255,255,0.18)",
-        cursor: "pointer",
+        cursor: onClick ? "pointer" : "default",
       }}
-      title="Click"
+      title={onClick ? "Click" : ""}
     />
   );
 }
 
+// Shrinks from full size to a pinpoint over the dwell time to hold the participant's gaze
+function DwellDot({ x, y, durationMs }) {
+  const [shrunk, setShrunk] = useState(false);
+
+  useEffect(() => {
+    const raf = requestAnimationFrame(() => setShrunk(true));
+    return () => cancelAnimationFrame(raf);
+  }, []);
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        left: x - 20,
+        top: y - 20,
+        width: 40,
+        height: 40,
+        borderRadius: 999,
+        background: "rgba(255,255,255,0.95)",
+        boxShadow: "0 0 0 7px rgba(255,255,255,0.18)",
+        transform: shrunk ? "scale(0.15)" : "scale(1)",
+        transition: `transform ${durationMs}ms linear`,
+      }}
+    >
+      <div
+        style={{
+          position: "absolute",
+          left: 17,
+          top: 17,
+          width: 6,
+          height: 6,
+          borderRadius: 999,
+          background: "#000",
+        }}
+      />
+    </div>
+  );
+}
+
+function fmt(v, suffix = "") {
+  return v == null ? "–" : `${v}${suffix}`;
+}
+
+function ValidationReportPanel({ report, onRecalibrate, onAccept }) {
+  return (
+    <div style={overlayStyle}>
+      {report.points.map((p, i) => (
+        <React.Fragment key={i}>
+          <CalibrationDot x={p.target_x_px} y={p.target_y_px} color="rgba(255,255,255,0.5)" />
+          {p.mean_x_px != null && (
+            <div
+              style={{
+                position: "fixed",
+                left: p.mean_x_px - 5,
+                top: p.mean_y_px - 5,
+                width: 10,
+                height: 10,
+                borderRadius: 999,
+                background: p.accuracy_px <= report.max_error_px ? "#4caf50" : "#f44336",
+              }}
+              title={`Point ${i + 1}: ${p.accuracy_px}px`}
+            />
+          )}
+        </React.Fragment>
+      ))}
+
+      <div style={{ ...overlayTextStyle, background: "rgba(0,0,0,0.6)", padding: 12, borderRadius: 12 }}>
+        <div style={{ fontSize: 16, fontWeight: 700 }}>
+          Calibration quality:{" "}
+          <span style={{ color: report.passed ? "#4caf50" : "#f44336" }}>
+            {report.passed ? "PASS" : "FAIL"}
+          </span>
+        </div>
+        <div style={{ fontSize: 13, opacity: 0.9, marginTop: 6 }}>
+          Accuracy <b>{fmt(report.accuracy_px, "px")}</b> ({fmt(report.accuracy_norm)}) • Precision (RMS){" "}
+          <b>{fmt(report.precision_rms_px, "px")}</b> ({fmt(report.precision_rms_norm)}) • Threshold{" "}
+          <b>{report.max_error_px}px</b>
+        </div>
+
+        <table style={{ marginTop: 8, fontSize: 12, borderSpacing: "10px 2px" }}>
+          <thead>
+            <tr style={{ textAlign: "left", opacity: 0.8 }}>
+              <th>Point</th>
+              <th>Samples</th>
+              <th>Accuracy</th>
+              <th>Precision</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.points.map((p, i) => (
+              <tr key={i}>
+                <td>{i + 1}</td>
+                <td>{p.sample_count}</td>
+                <td>{fmt(p.accuracy_px, "px")}</td>
+                <td>{fmt(p.precision_rms_px, "px")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+          <button style={btnStyle} onClick={onRecalibrate}>
+            Recalibrate
+          </button>
+          <button style={btnStyle} onClick={onAccept}>
+            {report.passed ? "Continue" : "Continue anyway"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 const barStyle = {
   position: "fixed",
   top: 8,
@@ -641,6 +2150,32 @@ const overlayTextStyle = {
   fontFamily: "system-ui",
 };
 
+const lookPromptStyle = {
+  position: "fixed",
+  top: "40%",
+  left: "50%",
+  transform: "translate(-50%, -50%)",
+  zIndex: 10001,
+  padding: "14px 22px",
+  borderRadius: 12,
+  background: "rgba(0,0,0,0.75)",
+  color: "white",
+  fontFamily: "system-ui",
+  fontSize: 20,
+  fontWeight: 700,
+  pointerEvents: "none",
+};
+
+const selectStyle = {
+  fontSize: 12,
+  maxWidth: 140,
+  padding: "3px 4px",
+  borderRadius: 6,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(0,0,0,0.4)",
+  color: "white",
+};
+
 const btnStyle = {
   fontSize: 12,
   padding: "6px 8px",
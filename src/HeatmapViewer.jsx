@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { downloadBlob, readCsvFile } from "./csv";
+import {
+  estimateCanvasSize,
+  gazePointsForQuestion,
+  layoutForQuestion,
+  listQuestionIds,
+  renderHeatmap,
+} from "./heatmap";
+
+export default function HeatmapViewer({ rows, onClose }) {
+  const [loaded, setLoaded] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [questionId, setQuestionId] = useState("");
+  const [sigma, setSigma] = useState(40);
+  const [opacity, setOpacity] = useState(0.6);
+  const canvasRef = useRef(null);
+
+  const sourceRows = loaded?.rows ?? rows ?? [];
+  const sessionId = sourceRows.find((r) => r.session_id)?.session_id || "session";
+  const questionIds = useMemo(() => listQuestionIds(sourceRows), [sourceRows]);
+
+  useEffect(() => {
+    if (!questionIds.includes(questionId)) setQuestionId(questionIds[0] ?? "");
+  }, [questionIds, questionId]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !questionId) return;
+    const points = gazePointsForQuestion(sourceRows, questionId);
+    const layout = layoutForQuestion(sourceRows, questionId);
+    const { width, height } = estimateCanvasSize(sourceRows, points, layout);
+    renderHeatmap(canvas, { layout, points, width, height, sigma, opacity });
+  }, [sourceRows, questionId, sigma, opacity]);
+
+  async function onLoadCsv(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const parsed = await readCsvFile(file);
+      if (!parsed.length || !("gaze_x_px" in parsed[0])) {
+        setLoadError(`${file.name} does not look like a gaze session CSV.`);
+        return;
+      }
+      setLoadError("");
+      setLoaded({ name: file.name, rows: parsed });
+    } catch (err) {
+      setLoadError(String(err?.message || err));
+    }
+  }
+
+  function exportPng() {
+    const canvas = canvasRef.current;
+    if (!canvas || !questionId) return;
+    canvas.toBlob((blob) => downloadBlob(`heatmap_${sessionId}_${questionId}.png`, blob), "image/png");
+  }
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Heatmap</div>
+        <div style={{ opacity: 0.8 }}>{loaded ? loaded.name : "current session"}</div>
+
+        <select value={questionId} onChange={(e) => setQuestionId(e.target.value)} style={inputStyle}>
+          {questionIds.map((id) => (
+            <option key={id} value={id}>
+              {id}
+            </option>
+          ))}
+        </select>
+
+        <label>
+          Kernel <b>{sigma}px</b>{" "}
+          <input type="range" min={10} max={150} step={5} value={sigma} onChange={(e) => setSigma(Number(e.target.value))} />
+        </label>
+
+        <label>
+          Opacity <b>{Math.round(opacity * 100)}%</b>{" "}
+          <input
+            type="range"
+            min={0.1}
+            max={1}
+            step={0.05}
+            value={opacity}
+            onChange={(e) => setOpacity(Number(e.target.value))}
+          />
+        </label>
+
+        <label style={btnStyle}>
+          Load CSV
+          <input type="file" accept=".csv,text/csv" onChange={onLoadCsv} style={{ display: "none" }} />
+        </label>
+        {loaded && (
+          <button style={btnStyle} onClick={() => setLoaded(null)}>
+            Use current session
+          </button>
+        )}
+
+        <button style={btnStyle} onClick={exportPng} disabled={!questionId}>
+          Export PNG
+        </button>
+        <div style={{ flex: 1 }} />
+        <button style={btnStyle} onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {loadError && <div style={{ marginTop: 8, color: "#f88" }}>{loadError}</div>}
+      {!questionIds.length && <div style={{ marginTop: 10, opacity: 0.8 }}>No gaze samples with a question_id.</div>}
+
+      <canvas ref={canvasRef} style={{ display: questionId ? "block" : "none", marginTop: 10, maxWidth: "100%" }} />
+    </div>
+  );
+}
+
+const panelStyle = {
+  position: "fixed",
+  inset: "60px 8px 8px 8px",
+  zIndex: 10001,
+  overflow: "auto",
+  padding: 12,
+  borderRadius: 12,
+  background: "rgba(0,0,0,0.92)",
+  border: "1px solid rgba(255,255,255,0.12)",
+  color: "white",
+  fontFamily: "system-ui",
+  fontSize: 12,
+};
+
+const inputStyle = {
+  fontSize: 12,
+  padding: "4px 6px",
+  borderRadius: 8,
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.18)",
+};
+
+const btnStyle = {
+  fontSize: 12,
+  padding: "6px 8px",
+  borderRadius: 9,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  cursor: "pointer",
+};
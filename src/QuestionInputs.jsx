@@ -0,0 +1,214 @@
+// QuestionInputs.jsx
+// Response widgets for the richer question types (likert, multi-select, numeric, slider, ranking).
+// Every element the participant can look at carries its own data-content-id / data-content-type
+// so gaze samples map to it:
+//   likert        likert_<q>_<value> (likert_point), likert_anchor_<q>_<value> (likert_anchor)
+//   multi-select  option_<q>_<i> (question_option)
+//   numeric       response_<q> (question_numeric_response)
+//   slider        slider_<q> (question_slider), slider_anchor_<q>_min|max, slider_value_<q>
+//   ranking       rank_item_<q>_<i> (ranking_item, i = original option index), rank_up/down_<q>_<i>
+
+import React from "react";
+import { likertPoints } from "./questionBank";
+
+export function LikertInput({ q, value, onSelect }) {
+  const points = likertPoints(q);
+  return (
+    <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+      {points.map((p) => (
+        <div key={p.index} style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", gap: 6 }}>
+          <button
+            onClick={() => onSelect(p)}
+            data-content-id={`likert_${q.id}_${p.value}`}
+            data-content-type="likert_point"
+            style={{ ...choiceStyle(value === p.index), width: "100%", textAlign: "center", marginTop: 0 }}
+          >
+            {p.value}
+          </button>
+          {p.label && (
+            <div
+              data-content-id={`likert_anchor_${q.id}_${p.value}`}
+              data-content-type="likert_anchor"
+              style={{ color: "#bbb", fontSize: 12, textAlign: "center" }}
+            >
+              {p.label}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function MultiSelectInput({ q, value = [], onChange }) {
+  const max = q.maxSelections ?? q.options.length;
+  function toggle(i) {
+    const next = value.includes(i) ? value.filter((v) => v !== i) : [...value, i].sort((a, b) => a - b);
+    if (next.length > max) return;
+    onChange(next);
+  }
+  return (
+    <div>
+      <div style={{ color: "#bbb", fontSize: 12 }}>
+        Select {q.minSelections ? `at least ${q.minSelections}` : "any"}
+        {q.maxSelections ? `, at most ${q.maxSelections}` : ""}.
+      </div>
+      {q.options.map((opt, i) => (
+        <button
+          key={i}
+          onClick={() => toggle(i)}
+          data-content-id={`option_${q.id}_${i}`}
+          data-content-type="question_option"
+          aria-pressed={value.includes(i)}
+          style={choiceStyle(value.includes(i))}
+        >
+          {value.includes(i) ? "☑" : "☐"} {opt}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Returns an error message for a numeric entry, or "" when it is acceptable
+export function numericError(q, text) {
+  if (text.trim() === "") return "";
+  const n = Number(text);
+  if (!Number.isFinite(n)) return "Enter a number.";
+  if (q.integer && !Number.isInteger(n)) return "Enter a whole number.";
+  if (q.min != null && n < q.min) return `Must be at least ${q.min}.`;
+  if (q.max != null && n > q.max) return `Must be at most ${q.max}.`;
+  return "";
+}
+
+export function NumericInput({ q, value = "", onChange }) {
+  const error = numericError(q, value);
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 10 }}>
+      <input
+        type="number"
+        inputMode={q.integer ? "numeric" : "decimal"}
+        min={q.min}
+        max={q.max}
+        step={q.integer ? 1 : "any"}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        data-content-id={`response_${q.id}`}
+        data-content-type="question_numeric_response"
+        style={{ ...fieldStyle, width: 220 }}
+        placeholder="Enter a number"
+      />
+      {q.unit && <span style={{ color: "#bbb" }}>{q.unit}</span>}
+      {error && <span style={{ color: "#f44336", fontSize: 12 }}>{error}</span>}
+    </div>
+  );
+}
+
+export function SliderInput({ q, value, onChange }) {
+  const current = value ?? q.initial ?? (q.min + q.max) / 2;
+  return (
+    <div style={{ marginTop: 10 }}>
+      <input
+        type="range"
+        min={q.min}
+        max={q.max}
+        step={q.step ?? 1}
+        value={current}
+        onChange={(e) => onChange(Number(e.target.value))}
+        data-content-id={`slider_${q.id}`}
+        data-content-type="question_slider"
+        style={{ width: "100%" }}
+      />
+      <div style={{ display: "flex", justifyContent: "space-between", color: "#bbb", fontSize: 12 }}>
+        <span data-content-id={`slider_anchor_${q.id}_min`} data-content-type="slider_anchor">
+          {q.anchors?.min ?? q.min}
+        </span>
+        <span data-content-id={`slider_value_${q.id}`} data-content-type="slider_value" style={{ color: "#fff" }}>
+          {value == null && q.initial == null ? "Move the slider" : current}
+        </span>
+        <span data-content-id={`slider_anchor_${q.id}_max`} data-content-type="slider_anchor">
+          {q.anchors?.max ?? q.max}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// value is the order of original option indices, top = rank 1
+export function RankingInput({ q, value, onChange }) {
+  const order = value ?? q.options.map((_, i) => i);
+  function move(pos, delta) {
+    const next = order.slice();
+    const target = pos + delta;
+    if (target < 0 || target >= next.length) return;
+    [next[pos], next[target]] = [next[target], next[pos]];
+    onChange(next);
+  }
+  return (
+    <div>
+      <div style={{ color: "#bbb", fontSize: 12 }}>Order the items, most preferred first.</div>
+      {order.map((optIdx, pos) => (
+        <div
+          key={optIdx}
+          data-content-id={`rank_item_${q.id}_${optIdx}`}
+          data-content-type="ranking_item"
+          style={{ ...choiceStyle(false), display: "flex", alignItems: "center", gap: 10, cursor: "default" }}
+        >
+          <b style={{ width: 20 }}>{pos + 1}</b>
+          <span style={{ flex: 1 }}>{q.options[optIdx]}</span>
+          <button
+            onClick={() => move(pos, -1)}
+            disabled={pos === 0}
+            data-content-id={`rank_up_${q.id}_${optIdx}`}
+            data-content-type="ranking_control"
+            style={smallBtnStyle}
+            aria-label="Move up"
+          >
+            ↑
+          </button>
+          <button
+            onClick={() => move(pos, 1)}
+            disabled={pos === order.length - 1}
+            data-content-id={`rank_down_${q.id}_${optIdx}`}
+            data-content-type="ranking_control"
+            style={smallBtnStyle}
+            aria-label="Move down"
+          >
+            ↓
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function choiceStyle(selected) {
+  return {
+    display: "block",
+    width: "100%",
+    textAlign: "left",
+    padding: "12px 14px",
+    marginTop: 10,
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: selected ? "rgba(255,255,255,0.18)" : "rgba(255,255,255,0.08)",
+    color: "#fff",
+    cursor: "pointer",
+  };
+}
+
+export const fieldStyle = {
+  padding: "12px 14px",
+  borderRadius: 12,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.08)",
+  color: "#fff",
+};
+
+const smallBtnStyle = {
+  padding: "4px 8px",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.10)",
+  color: "#fff",
+  cursor: "pointer",
+};
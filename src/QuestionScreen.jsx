@@ -1,22 +1,83 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import questions from "./questions.json";
+import { audioCaptureMode, bareQuestionId, formatBankIssue, loadQuestionBank } from "./questionBank";
+import {
+  LikertInput,
+  MultiSelectInput,
+  NumericInput,
+  RankingInput,
+  SliderInput,
+  choiceStyle,
+  fieldStyle,
+  numericError,
+} from "./QuestionInputs";
+import StimulusMedia from "./StimulusMedia";
 
-export default function QuestionScreen({ onAnswer, questionsData, title, onRestart, disableOptionDelay }) {
-  const defaultOptionDelayMs = 3000;
-  const questionList = Array.isArray(questionsData) ? questionsData : questions;
+// questionsData: a question bank (see questionBank.js) or a legacy question array.
+// bank: an already loaded bank ({ questions, errors, warnings }, e.g. from parseQuestionBank).
+// onEvent(type, fields): lifecycle events question_onset, options_revealed, text_box_revealed,
+// nav_back, nav_next, questionnaire_restart and submit, each with question_id / index / type.
+// initialQuestionId: question to open on (resume, replay); an id missing from the bank shows a
+// placeholder instead of silently opening the first question.
+export default function QuestionScreen({ questionsData, bank, initialQuestionId, ...props }) {
+  const loaded = useMemo(() => bank ?? loadQuestionBank(questionsData ?? questions), [bank, questionsData]);
+
+  useEffect(() => {
+    loaded.warnings.forEach((w) => console.warn(`[question bank] ${formatBankIssue(w)}`));
+  }, [loaded]);
 
-  // Guard: if import failed or empty array
-  if (!Array.isArray(questionList) || questionList.length === 0) {
+  if (loaded.errors.length) {
     return (
-      <div style={{ color: "white", padding: 24 }}>
-        Questions not loaded. Check <code>src/questions.json</code> for valid JSON.
+      <div style={{ color: "white", padding: 24, maxWidth: 900, margin: "0 auto" }}>
+        <div style={{ fontWeight: 700 }}>Question bank is invalid</div>
+        <ul style={{ color: "#f48a8a", fontFamily: "monospace", fontSize: 13 }}>
+          {loaded.errors.map((e, i) => (
+            <li key={i}>{formatBankIssue(e)}</li>
+          ))}
+        </ul>
       </div>
     );
   }
 
-  const [idx, setIdx] = useState(0);
+  const initialId = bareQuestionId(initialQuestionId);
+  const initialIdx = initialId
+    ? loaded.questions.findIndex((item) => item.id === initialQuestionId || item.id === initialId)
+    : 0;
+  if (initialIdx < 0) {
+    return (
+      <div style={{ color: "white", padding: 24, maxWidth: 900, margin: "0 auto" }}>
+        <div style={{ fontWeight: 700 }}>Question not in bank</div>
+        <div style={{ opacity: 0.8, fontFamily: "monospace", fontSize: 13 }}>{initialId}</div>
+      </div>
+    );
+  }
+  return (
+    <Questionnaire
+      {...props}
+      questionList={loaded.questions}
+      title={props.title ?? loaded.bank?.title}
+      initialIdx={initialIdx}
+    />
+  );
+}
+
+function Questionnaire({
+  questionList,
+  onAnswer,
+  onEvent,
+  title,
+  onRestart,
+  disableOptionDelay,
+  driftCheckEvery = 0,
+  onDriftCheck,
+  initialIdx,
+}) {
+  const defaultOptionDelayMs = 3000;
+
+  const [idx, setIdx] = useState(initialIdx);
   const [responses, setResponses] = useState({});
   const [showOptions, setShowOptions] = useState(false);
+  const [driftChecking, setDriftChecking] = useState(false);
 
   const q = questionList[idx];
   if (!q) {
@@ -29,45 +90,135 @@ export default function QuestionScreen({ onAnswer, questionsData, title, onResta
 
   const canBack = idx > 0;
   const canNext = questionList.length > 0;
-  const isTextResponse = q?.responseType === "text";
+  const isTextResponse = q.type === "text";
+  const isStimulus = q.type === "image" || q.type === "video";
+  // Stimulus questions may ask a multiple-choice question about the stimulus
+  const isChoice = q.type === "mcq" || (isStimulus && Array.isArray(q.options));
+  const hasResponse = !isTextResponse && (isChoice ? q.showOptions !== false : !isStimulus);
   const textValue = typeof responses[q.id] === "string" ? responses[q.id] : "";
+  const response = responses[q.id];
 
-  function onSelect(optionIndex) {
-    setResponses((r) => ({ ...r, [q.id]: optionIndex }));
-    if (typeof onAnswer === "function") {
-      const optionText = Array.isArray(q.options) ? q.options[optionIndex] : "";
-      onAnswer(q.id, optionIndex, optionText);
+  function emit(type, fields) {
+    if (typeof onEvent === "function") {
+      onEvent(type, {
+        question_id: q.id,
+        question_index: idx,
+        question_type: q.type,
+        audio_capture: audioCaptureMode(q),
+        ...fields,
+      });
     }
   }
 
+  function answer(optionIndex, optionText, answerText, details) {
+    if (typeof onAnswer === "function") onAnswer(q.id, optionIndex, optionText, answerText, details);
+  }
+
+  function setResponse(value) {
+    setResponses((r) => ({ ...r, [q.id]: value }));
+  }
+
+  function onSelect(optionIndex) {
+    setResponse(optionIndex);
+    answer(optionIndex, q.options[optionIndex]);
+  }
+
   function onTextChange(e) {
-    setResponses((r) => ({ ...r, [q.id]: e.target.value }));
+    setResponse(e.target.value);
   }
 
-  function handleNext() {
-    if (isTextResponse && typeof onAnswer === "function" && textValue.trim()) {
-      onAnswer(q.id, null, "", textValue.trim());
+  function onLikert(point) {
+    setResponse(point.index);
+    answer(point.index, point.label || String(point.value), "", { type: "likert", value: point.value });
+  }
+
+  // Every toggle is logged with the full current selection
+  function onMultiSelect(selection) {
+    setResponse(selection);
+    answer(selection.join(";"), selection.map((i) => q.options[i]).join(";"), "", {
+      type: "multi_select",
+      value: selection.length,
+    });
+  }
+
+  // Free-entry types are recorded once, when the participant moves on
+  function commitResponse() {
+    if (isTextResponse && textValue.trim()) {
+      answer(null, "", textValue.trim());
+    } else if (q.type === "numeric" && typeof response === "string" && response.trim() && !numericError(q, response)) {
+      answer(null, "", response.trim(), { type: "numeric", value: Number(response) });
+    } else if (q.type === "slider" && (response != null || q.initial != null)) {
+      const value = response ?? q.initial;
+      answer(null, "", String(value), { type: "slider", value });
+    } else if (q.type === "ranking" && Array.isArray(response)) {
+      answer(null, response.map((i) => q.options[i]).join(" > "), "", { type: "ranking", value: response.join(";") });
     }
+  }
+
+  async function handleNext() {
+    if (driftChecking) return;
+    commitResponse();
     const isLast = idx === questionList.length - 1;
-    if (isLast && typeof onRestart === "function") onRestart();
+    if (isLast) {
+      emit("questionnaire_restart");
+      if (typeof onRestart === "function") onRestart();
+    } else {
+      emit("nav_next", { nav_to_question_id: questionList[idx + 1].id });
+    }
+
+    // Drift check runs between questions, after every `driftCheckEvery` answered ones
+    const driftDue = !isLast && driftCheckEvery > 0 && (idx + 1) % driftCheckEvery === 0;
+    if (driftDue && typeof onDriftCheck === "function") {
+      setDriftChecking(true);
+      try {
+        await onDriftCheck({ questionId: q.id });
+      } finally {
+        setDriftChecking(false);
+      }
+    }
     setIdx((i) => (i + 1) % questionList.length);
   }
 
+  function handleBack() {
+    if (!canBack) return;
+    emit("nav_back", { nav_to_question_id: questionList[idx - 1].id });
+    setIdx((i) => Math.max(0, i - 1));
+  }
+
+  function handleSubmit() {
+    emit("submit", { answered_count: Object.keys(responses).length });
+    console.log("responses:", responses);
+    alert("Responses captured (see console).");
+  }
+
+  // Effects run after paint, so onset is logged once the question is on screen
   useEffect(() => {
-    if (disableOptionDelay) {
+    emit("question_onset");
+  }, [idx, questionList]);
+
+  useEffect(() => {
+    const delayMs = Number.isFinite(q?.optionDelayMs) ? q.optionDelayMs : defaultOptionDelayMs;
+    const reveal = () => {
       setShowOptions(true);
+      if (!hasResponse && !isTextResponse) return;
+      const isEntryBox = isTextResponse || q.type === "numeric";
+      emit(isEntryBox ? "text_box_revealed" : "options_revealed", {
+        option_delay_ms: disableOptionDelay ? 0 : delayMs,
+      });
+    };
+    if (disableOptionDelay) {
+      reveal();
       return undefined;
     }
     setShowOptions(false);
-    const delayMs = Number.isFinite(q?.optionDelayMs) ? q.optionDelayMs : defaultOptionDelayMs;
-    const timer = setTimeout(() => setShowOptions(true), Math.max(0, delayMs));
+    const timer = setTimeout(reveal, Math.max(0, delayMs));
     return () => clearTimeout(timer);
   }, [idx, q?.optionDelayMs, disableOptionDelay]);
 
   useEffect(() => {
-    setIdx(0);
+    setIdx(initialIdx);
     setResponses({});
-  }, [questionList]);
+  }, [questionList, initialIdx]);
 
   return (
     <div style={{ padding: 24, maxWidth: 900, margin: "0 auto" }}>
@@ -78,11 +229,14 @@ export default function QuestionScreen({ onAnswer, questionsData, title, onResta
       <h2
         data-content-id={`question_${q.id}`}
         data-content-type="question_prompt"
+        data-question-id={q.id}
         style={{ color: "#fff", lineHeight: 1.4 }}
       >
         {q.prompt}
       </h2>
 
+      {isStimulus && <StimulusMedia q={q} />}
+
       {isTextResponse && (
         <div style={{ marginTop: 16 }}>
           {!showOptions && (
@@ -95,62 +249,46 @@ export default function QuestionScreen({ onAnswer, questionsData, title, onResta
               onChange={onTextChange}
               data-content-id={`response_${q.id}`}
               data-content-type="question_text_response"
-              style={{
-                width: "100%",
-                padding: "12px 14px",
-                borderRadius: 12,
-                border: "1px solid rgba(255,255,255,0.18)",
-                background: "rgba(255,255,255,0.08)",
-                color: "#fff",
-                resize: "vertical",
-              }}
-              placeholder="Type your response..."
+              style={{ ...fieldStyle, width: "100%", resize: "vertical" }}
+              placeholder={q.placeholder || "Type your response..."}
             />
           )}
         </div>
       )}
 
-      {!isTextResponse && q.showOptions && Array.isArray(q.options) && (
+      {hasResponse && (
         <div style={{ marginTop: 16 }}>
           {!showOptions && (
-            <div style={{ color: "#bbb", fontSize: 13 }}>Options will appear shortly...</div>
+            <div style={{ color: "#bbb", fontSize: 13 }}>
+              {q.type === "numeric" ? "Response box" : "Options"} will appear shortly...
+            </div>
           )}
-          {showOptions &&
-            q.options.map((opt, i) => {
-              const selected = responses[q.id] === i;
-              return (
-                <button
-                  key={i}
-                  onClick={() => onSelect(i)}
-                  data-content-id={`option_${q.id}_${i}`}
-                  data-content-type="question_option"
-                  style={{
-                    display: "block",
-                    width: "100%",
-                    textAlign: "left",
-                    padding: "12px 14px",
-                    marginTop: 10,
-                    borderRadius: 12,
-                    border: "1px solid rgba(255,255,255,0.18)",
-                    background: selected
-                      ? "rgba(255,255,255,0.18)"
-                      : "rgba(255,255,255,0.08)",
-                    color: "#fff",
-                    cursor: "pointer",
-                  }}
-                >
-                  {opt}
-                </button>
-              );
-            })}
+          {showOptions && isChoice &&
+            q.options.map((opt, i) => (
+              <button
+                key={i}
+                onClick={() => onSelect(i)}
+                data-content-id={`option_${q.id}_${i}`}
+                data-content-type="question_option"
+                style={choiceStyle(response === i)}
+              >
+                {opt}
+              </button>
+            ))}
+          {showOptions && q.type === "likert" && <LikertInput q={q} value={response} onSelect={onLikert} />}
+          {showOptions && q.type === "multi-select" && (
+            <MultiSelectInput q={q} value={response} onChange={onMultiSelect} />
+          )}
+          {showOptions && q.type === "numeric" && <NumericInput q={q} value={response} onChange={setResponse} />}
+          {showOptions && q.type === "slider" && <SliderInput q={q} value={response} onChange={setResponse} />}
+          {showOptions && q.type === "ranking" && <RankingInput q={q} value={response} onChange={setResponse} />}
         </div>
       )}
 
-
       <div style={{ display: "flex", gap: 10, marginTop: 18 }}>
         <button
-          onClick={() => setIdx((i) => Math.max(0, i - 1))}
-          disabled={!canBack}
+          onClick={handleBack}
+          disabled={!canBack || driftChecking}
           data-content-id="btn_back"
           data-content-type="nav_button"
           style={navBtnStyle(!canBack)}
@@ -160,7 +298,7 @@ export default function QuestionScreen({ onAnswer, questionsData, title, onResta
 
         <button
           onClick={handleNext}
-          disabled={!canNext}
+          disabled={!canNext || driftChecking}
           data-content-id="btn_next"
           data-content-type="nav_button"
           style={navBtnStyle(!canNext)}
@@ -169,10 +307,7 @@ export default function QuestionScreen({ onAnswer, questionsData, title, onResta
         </button>
 
         <button
-          onClick={() => {
-            console.log("responses:", responses);
-            alert("Responses captured (see console).");
-          }}
+          onClick={handleSubmit}
           data-content-id="btn_submit"
           data-content-type="nav_button"
           style={navBtnStyle(false)}
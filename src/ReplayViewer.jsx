@@ -0,0 +1,476 @@
+// ReplayViewer.jsx
+// - Loads a gaze_session_<id>.csv (plus optional audio_segments_<id>.csv and audio clips,
+//   webcam_<id> videos and video_frames_<id>.csv)
+// - Re-renders the question on screen at each moment from the session's question bank (bank, as
+//   loaded by App; questions.json when none is given)
+// - Animates the gaze point and a trailing scanpath; scrubber over ts_ms with answer markers
+// - Plays audio segments in sync with the replay clock
+// - Shows the session's webcam video in a corner, seeked through the frame markers so each frame
+//   appears at the ts_ms it was captured
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import QuestionScreen from "./QuestionScreen";
+import { bareQuestionId } from "./questionBank";
+import { readCsvFile } from "./csv";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const TRAIL_MS = 2000;
+const AUDIO_RESYNC_S = 0.3;
+const VIDEO_RESYNC_S = 0.2;
+
+function num(v) {
+  if (v === "" || v == null) return NaN;
+  return Number(v);
+}
+
+function buildTimeline(rows) {
+  const gaze = [];
+  const answers = [];
+  const questions = [];
+  for (const r of rows) {
+    const t = num(r.ts_ms);
+    if (!isFinite(t)) continue;
+    if (r.event_type === "answer") {
+      answers.push({
+        t,
+        question_id: r.question_id,
+        label: r.answer_option_text || r.answer_text,
+      });
+      continue;
+    }
+    if (r.question_id) questions.push({ t, question_id: r.question_id });
+    const x = num(r.gaze_x_px);
+    const y = num(r.gaze_y_px);
+    if ((r.event_type || "gaze") !== "gaze" || !isFinite(x) || !isFinite(y)) continue;
+    gaze.push({ t, x, y, scroll_y: num(r.scroll_y) || 0, audio_segment_id: r.audio_segment_id || "" });
+  }
+  const byTime = (a, b) => a.t - b.t;
+  gaze.sort(byTime);
+  answers.sort(byTime);
+  questions.sort(byTime);
+  const firsts = [gaze[0], answers[0]].filter(Boolean).map((e) => e.t);
+  const lasts = [gaze[gaze.length - 1], answers[answers.length - 1]].filter(Boolean).map((e) => e.t);
+  const start = firsts.length ? Math.min(...firsts) : 0;
+  const end = lasts.length ? Math.max(...lasts) : 0;
+  return { gaze, answers, questions, start, end };
+}
+
+// Index of the last entry with t <= ts, or -1
+function lastIndexAtOrBefore(list, ts) {
+  let lo = 0;
+  let hi = list.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].t <= ts) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Segment timing comes from the audio log when loaded, else from the gaze rows tagged with the segment
+function buildAudioSegments(gaze, audioLogRows, clips) {
+  const segments = new Map();
+  for (const r of audioLogRows) {
+    segments.set(r.audio_segment_id, {
+      id: r.audio_segment_id,
+      start: num(r.start_ts_ms),
+      stop: num(r.stop_ts_ms),
+      filename: r.filename,
+    });
+  }
+  for (const g of gaze) {
+    if (!g.audio_segment_id) continue;
+    const seg = segments.get(g.audio_segment_id) || { id: g.audio_segment_id, start: g.t, stop: g.t, filename: "" };
+    seg.start = Math.min(seg.start, g.t);
+    seg.stop = Math.max(seg.stop, g.t);
+    segments.set(g.audio_segment_id, seg);
+  }
+  return Array.from(segments.values())
+    .map((seg) => {
+      const clip = clips.find((c) => c.name === seg.filename || c.name.includes(seg.id));
+      return clip ? { ...seg, url: clip.url } : null;
+    })
+    .filter(Boolean);
+}
+
+// A video's span comes from its webcam_started / webcam_stopped rows, else from its frame markers
+function buildWebcamVideos(rows, frameRows, videoFiles) {
+  const videos = new Map();
+  const get = (id) => {
+    if (!videos.has(id)) videos.set(id, { id, start: NaN, stop: NaN, frames: [] });
+    return videos.get(id);
+  };
+  for (const r of rows) {
+    if (r.event_type === "webcam_started") get(r.webcam_video_id).start = num(r.ts_ms);
+    else if (r.event_type === "webcam_stopped") get(r.webcam_video_id).stop = num(r.ts_ms);
+  }
+  for (const f of frameRows) {
+    const t = num(f.ts_ms);
+    const v = num(f.video_time_ms);
+    if (f.webcam_video_id && isFinite(t) && isFinite(v)) get(f.webcam_video_id).frames.push({ t, v });
+  }
+  return Array.from(videos.values())
+    .map((video) => {
+      const file = videoFiles.find((f) => f.name.includes(video.id));
+      video.frames.sort((a, b) => a.t - b.t);
+      const start = isFinite(video.start) ? video.start : video.frames[0]?.t;
+      const stop = isFinite(video.stop) ? video.stop : video.frames[video.frames.length - 1]?.t;
+      if (!file || !isFinite(start)) return null;
+      return { ...video, start, stop: isFinite(stop) ? stop : Infinity, url: file.url };
+    })
+    .filter(Boolean);
+}
+
+// Video time (ms) shown at replay time ts: interpolated between the surrounding frame markers,
+// else the offset from the webcam_started row
+function videoTimeAt(video, ts) {
+  const { frames } = video;
+  const i = lastIndexAtOrBefore(frames, ts);
+  if (i < 0) return frames.length ? frames[0].v - (frames[0].t - ts) : ts - video.start;
+  const a = frames[i];
+  const b = frames[i + 1];
+  if (!b || b.t === a.t) return a.v + (ts - a.t);
+  return a.v + ((b.v - a.v) * (ts - a.t)) / (b.t - a.t);
+}
+
+function classifyFiles(files) {
+  const out = { gaze: null, audioLog: null, videoFrames: null, clips: [], videos: [] };
+  for (const f of files) {
+    const name = f.name.toLowerCase();
+    if (name.endsWith(".csv") && name.startsWith("audio_segments")) out.audioLog = f;
+    else if (name.endsWith(".csv") && name.startsWith("video_frames")) out.videoFrames = f;
+    else if (name.startsWith("webcam_") && /\.(webm|mp4|ogv)$/.test(name)) out.videos.push(f);
+    else if (name.endsWith(".csv") && name.startsWith("gaze_session")) out.gaze = f;
+    else if (/\.(webm|ogg|wav|mp3|m4a)$/.test(name)) out.clips.push(f);
+    else if (name.endsWith(".csv") && !out.gaze) out.gaze = f;
+  }
+  return out;
+}
+
+export default function ReplayViewer({ questionsData, bank, onClose }) {
+  const [source, setSource] = useState(null);
+  const [error, setError] = useState("");
+  const [ts, setTs] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const tsRef = useRef(0);
+  const audioRef = useRef(null);
+  const activeSegmentRef = useRef(null);
+  const videoRef = useRef(null);
+  const activeVideoRef = useRef(null);
+
+  const timeline = useMemo(() => (source ? buildTimeline(source.rows) : null), [source]);
+  const audioSegments = useMemo(
+    () => (source && timeline ? buildAudioSegments(timeline.gaze, source.audioLog, source.clips) : []),
+    [source, timeline]
+  );
+  const webcamVideos = useMemo(
+    () => (source ? buildWebcamVideos(source.rows, source.videoFrames, source.videos) : []),
+    [source]
+  );
+
+  useEffect(() => {
+    return () => [...(source?.clips || []), ...(source?.videos || [])].forEach((c) => URL.revokeObjectURL(c.url));
+  }, [source]);
+
+  async function onLoadFiles(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length) return;
+    const { gaze, audioLog, videoFrames, clips, videos } = classifyFiles(files);
+    if (!gaze) {
+      setError("Select a gaze_session_<id>.csv (audio and webcam files are optional).");
+      return;
+    }
+    try {
+      const rows = await readCsvFile(gaze);
+      const audioRows = audioLog ? await readCsvFile(audioLog) : [];
+      const frameRows = videoFrames ? await readCsvFile(videoFrames) : [];
+      const tl = buildTimeline(rows);
+      if (!tl.gaze.length && !tl.answers.length) {
+        setError(`${gaze.name} has no gaze samples.`);
+        return;
+      }
+      setError("");
+      setPlaying(false);
+      setSource({
+        name: gaze.name,
+        rows,
+        audioLog: audioRows,
+        clips: clips.map((f) => ({ name: f.name, url: URL.createObjectURL(f) })),
+        videoFrames: frameRows,
+        videos: videos.map((f) => ({ name: f.name, url: URL.createObjectURL(f) })),
+      });
+      setTs(tl.start);
+    } catch (err) {
+      setError(String(err?.message || err));
+    }
+  }
+
+  tsRef.current = ts;
+
+  // Replay clock
+  useEffect(() => {
+    if (!playing || !timeline) return undefined;
+    let raf = 0;
+    let last = performance.now();
+    const step = (now) => {
+      const next = Math.min(timeline.end, tsRef.current + (now - last) * speed);
+      last = now;
+      tsRef.current = next;
+      setTs(next);
+      if (next >= timeline.end) {
+        setPlaying(false);
+        return;
+      }
+      raf = requestAnimationFrame(step);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, timeline]);
+
+  // Keep the audio element on the segment under the clock
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    const seg = audioSegments.find((s) => ts >= s.start && ts < s.stop);
+    if (!seg) {
+      if (!audio.paused) audio.pause();
+      activeSegmentRef.current = null;
+      return;
+    }
+    if (activeSegmentRef.current !== seg.id) {
+      activeSegmentRef.current = seg.id;
+      audio.src = seg.url;
+    }
+    const want = (ts - seg.start) / 1000;
+    if (Math.abs(audio.currentTime - want) > AUDIO_RESYNC_S) audio.currentTime = want;
+    audio.playbackRate = speed;
+    if (playing && audio.paused) audio.play().catch(() => {});
+    if (!playing && !audio.paused) audio.pause();
+  }, [ts, playing, speed, audioSegments]);
+
+  const activeVideo = webcamVideos.find((v) => ts >= v.start && ts < v.stop) || null;
+
+  // Same for the webcam video, which spans the whole recording
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+    if (!activeVideo) {
+      if (!video.paused) video.pause();
+      activeVideoRef.current = null;
+      return;
+    }
+    if (activeVideoRef.current !== activeVideo.id) {
+      activeVideoRef.current = activeVideo.id;
+      video.src = activeVideo.url;
+    }
+    const want = Math.max(0, videoTimeAt(activeVideo, ts) / 1000);
+    if (Math.abs(video.currentTime - want) > VIDEO_RESYNC_S) video.currentTime = want;
+    video.playbackRate = speed;
+    if (playing && video.paused) video.play().catch(() => {});
+    if (!playing && !video.paused) video.pause();
+  }, [ts, playing, speed, activeVideo]);
+
+  const gi = timeline ? lastIndexAtOrBefore(timeline.gaze, ts) : -1;
+  const current = gi >= 0 ? timeline.gaze[gi] : null;
+  const trail = [];
+  for (let i = gi; i >= 0 && timeline.gaze[i].t >= ts - TRAIL_MS; i--) trail.unshift(timeline.gaze[i]);
+  const qi = timeline ? lastIndexAtOrBefore(timeline.questions, ts) : -1;
+  // Sessions recorded before gaze rows carried the bare id have "question_q1" here
+  const questionId = qi >= 0 ? bareQuestionId(timeline.questions[qi].question_id) : "";
+  const lastAnswer = timeline?.answers[lastIndexAtOrBefore(timeline.answers, ts)];
+  const span = timeline ? Math.max(1, timeline.end - timeline.start) : 1;
+
+  return (
+    <div style={stageStyle}>
+      {source && questionId && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 0,
+            paddingTop: 80,
+            pointerEvents: "none",
+            transform: `translateY(${-(current?.scroll_y || 0)}px)`,
+          }}
+        >
+          <QuestionScreen
+            key={questionId}
+            questionsData={questionsData}
+            bank={bank}
+            initialQuestionId={questionId}
+            disableOptionDelay
+          />
+        </div>
+      )}
+
+      {current && (
+        <svg style={{ position: "fixed", inset: 0, width: "100%", height: "100%", pointerEvents: "none" }}>
+          <polyline
+            points={trail.map((p) => `${p.x},${p.y}`).join(" ")}
+            fill="none"
+            stroke="rgba(255,200,0,0.6)"
+            strokeWidth={2}
+          />
+          {trail.map((p, i) => (
+            <circle key={i} cx={p.x} cy={p.y} r={4} fill="rgba(255,200,0,0.5)" />
+          ))}
+          <circle cx={current.x} cy={current.y} r={14} fill="rgba(255,60,60,0.45)" stroke="#ff4040" strokeWidth={2} />
+        </svg>
+      )}
+
+      <audio ref={audioRef} style={{ display: "none" }} />
+      <video ref={videoRef} muted playsInline style={{ ...webcamStyle, display: activeVideo ? "block" : "none" }} />
+
+      <div style={controlsStyle}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <div style={{ fontWeight: 700 }}>Replay</div>
+          <label style={btnStyle}>
+            Load files
+            <input type="file" multiple accept=".csv,audio/*,video/*" onChange={onLoadFiles} style={{ display: "none" }} />
+          </label>
+          {source && <div style={{ opacity: 0.8 }}>{source.name}</div>}
+          {source && (
+            <div style={{ opacity: 0.8 }}>
+              Audio clips: <b>{audioSegments.length}</b>
+            </div>
+          )}
+          {source && webcamVideos.length > 0 && (
+            <div style={{ opacity: 0.8 }}>
+              Webcam: <b>{webcamVideos.length}</b>
+              {!source.videoFrames.length && " (no frame markers)"}
+            </div>
+          )}
+          <div style={{ flex: 1 }} />
+          <button style={btnStyle} onClick={onClose}>
+            Close
+          </button>
+        </div>
+
+        {error && <div style={{ marginTop: 6, color: "#f88" }}>{error}</div>}
+        {!source && !error && (
+          <div style={{ marginTop: 6, opacity: 0.8 }}>
+            Select a gaze_session CSV, optionally with its audio_segments CSV and audio clips, webcam video and
+            video_frames CSV.
+          </div>
+        )}
+
+        {timeline && (
+          <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8 }}>
+            <button
+              style={btnStyle}
+              onClick={() => {
+                if (ts >= timeline.end) setTs(timeline.start);
+                setPlaying((p) => !p);
+              }}
+            >
+              {playing ? "Pause" : "Play"}
+            </button>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={inputStyle}>
+              {SPEEDS.map((sp) => (
+                <option key={sp} value={sp}>
+                  {sp}×
+                </option>
+              ))}
+            </select>
+
+            <div style={{ position: "relative", flex: 1 }}>
+              <input
+                type="range"
+                min={timeline.start}
+                max={timeline.end}
+                step={1}
+                value={ts}
+                onChange={(e) => setTs(Number(e.target.value))}
+                style={{ width: "100%" }}
+              />
+              {timeline.answers.map((a, i) => (
+                <div
+                  key={i}
+                  onClick={() => setTs(a.t)}
+                  title={`${a.question_id}: ${a.label}`}
+                  style={{
+                    position: "absolute",
+                    top: -6,
+                    left: `${((a.t - timeline.start) / span) * 100}%`,
+                    width: 3,
+                    height: 8,
+                    background: "#4caf50",
+                    cursor: "pointer",
+                  }}
+                />
+              ))}
+            </div>
+
+            <div style={{ minWidth: 180, textAlign: "right" }}>
+              ts_ms <b>{Math.round(ts)}</b> • {questionId || "–"}
+            </div>
+          </div>
+        )}
+
+        {lastAnswer && ts - lastAnswer.t < 1500 && (
+          <div style={{ marginTop: 6, color: "#8f8" }}>
+            Answer {lastAnswer.question_id}: <b>{lastAnswer.label}</b>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const stageStyle = {
+  position: "fixed",
+  inset: 0,
+  zIndex: 10002,
+  overflow: "hidden",
+  background: "#0b0b0b",
+};
+
+const webcamStyle = {
+  position: "fixed",
+  top: 8,
+  right: 8,
+  width: 240,
+  borderRadius: 10,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "black",
+  pointerEvents: "none",
+};
+
+const controlsStyle = {
+  position: "fixed",
+  left: 8,
+  right: 8,
+  bottom: 8,
+  padding: "8px 10px",
+  borderRadius: 12,
+  background: "rgba(0,0,0,0.75)",
+  border: "1px solid rgba(255,255,255,0.12)",
+  color: "white",
+  fontFamily: "system-ui",
+  fontSize: 12,
+};
+
+const inputStyle = {
+  fontSize: 12,
+  padding: "4px 6px",
+  borderRadius: 8,
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  border: "1px solid rgba(255,255,255,0.18)",
+};
+
+const btnStyle = {
+  fontSize: 12,
+  padding: "6px 8px",
+  borderRadius: 9,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  cursor: "pointer",
+};
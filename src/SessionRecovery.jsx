@@ -0,0 +1,140 @@
+// SessionRecovery.jsx
+// - Lists sessions left "active" in IndexedDB (tab reload, crash, accidental restart)
+// - Resume hands the stored rows / audio / form data back to the app
+// - Export downloads what was stored; Discard deletes it
+
+import React, { useEffect, useState } from "react";
+import { deleteSession, listUnfinishedSessions, loadSession, markSessionExported } from "./sessionStore";
+
+function formatTime(epochMs) {
+  return epochMs ? new Date(epochMs).toLocaleString() : "–";
+}
+
+export default function SessionRecovery({ onResume, onExport, onClose }) {
+  const [sessions, setSessions] = useState(null);
+  const [busyId, setBusyId] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    listUnfinishedSessions()
+      .then(setSessions)
+      .catch(() => setSessions([]));
+  }, []);
+
+  useEffect(() => {
+    if (sessions && !sessions.length) onClose();
+  }, [sessions, onClose]);
+
+  async function run(id, action) {
+    setBusyId(id);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      setError(String(e?.message || e));
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  const resume = (id) =>
+    run(id, async () => {
+      onResume(await loadSession(id));
+      onClose();
+    });
+
+  const exportSession = (id) =>
+    run(id, async () => {
+      await onExport(await loadSession(id));
+      await markSessionExported(id);
+      setSessions((prev) => prev.filter((s) => s.id !== id));
+    });
+
+  const discard = (id) =>
+    run(id, async () => {
+      if (!window.confirm("Delete this session's recorded data? This cannot be undone.")) return;
+      await deleteSession(id);
+      setSessions((prev) => prev.filter((s) => s.id !== id));
+    });
+
+  if (!sessions?.length) return null;
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <div style={{ fontSize: 14, fontWeight: 700 }}>Unfinished sessions</div>
+        <div style={{ flex: 1 }} />
+        <button style={btnStyle} onClick={onClose}>
+          Start new session
+        </button>
+      </div>
+      <div style={{ marginTop: 6, opacity: 0.8 }}>
+        These sessions were not exported before the page closed. Resume one, export its data, or discard it.
+      </div>
+
+      {error && <div style={{ marginTop: 6, color: "#f44336" }}>{error}</div>}
+
+      <table style={{ marginTop: 10, borderSpacing: "12px 3px", fontSize: 12 }}>
+        <thead>
+          <tr style={{ textAlign: "left", opacity: 0.8 }}>
+            <th>Session</th>
+            <th>Participant</th>
+            <th>Started</th>
+            <th>Last saved</th>
+            <th>Rows</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map((s) => (
+            <tr key={s.id}>
+              <td title={s.id}>{s.id.slice(0, 8)}</td>
+              <td>{s.form?.demographics?.name || "–"}</td>
+              <td>{formatTime(s.recordingStartedAtEpoch)}</td>
+              <td>{formatTime(s.updatedAt)}</td>
+              <td>{s.rowCount || 0}</td>
+              <td style={{ display: "flex", gap: 6 }}>
+                <button style={btnStyle} disabled={!!busyId} onClick={() => resume(s.id)}>
+                  Resume
+                </button>
+                <button style={btnStyle} disabled={!!busyId} onClick={() => exportSession(s.id)}>
+                  Export
+                </button>
+                <button style={btnStyle} disabled={!!busyId} onClick={() => discard(s.id)}>
+                  Discard
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const panelStyle = {
+  position: "fixed",
+  top: 60,
+  left: "50%",
+  transform: "translateX(-50%)",
+  zIndex: 10001,
+  maxHeight: "70vh",
+  overflow: "auto",
+  padding: 12,
+  borderRadius: 12,
+  background: "rgba(0,0,0,0.9)",
+  border: "1px solid rgba(255,255,255,0.12)",
+  color: "white",
+  fontFamily: "system-ui",
+  fontSize: 12,
+};
+
+const btnStyle = {
+  fontSize: 12,
+  padding: "6px 8px",
+  borderRadius: 9,
+  border: "1px solid rgba(255,255,255,0.18)",
+  background: "rgba(255,255,255,0.10)",
+  color: "white",
+  cursor: "pointer",
+};
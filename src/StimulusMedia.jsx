@@ -0,0 +1,38 @@
+import React from "react";
+
+// Image / video stimulus from public/. The media element itself is the gaze target:
+// data-content-id stimulus_<q> for content mapping, data-stimulus-id / data-aois for
+// stimulus-relative coordinates and AOI names (see stimulus.js).
+export default function StimulusMedia({ q }) {
+  const src = /^(https?:|data:|blob:)/.test(q.src) ? q.src : `${import.meta.env.BASE_URL}${q.src.replace(/^\//, "")}`;
+  const common = {
+    src,
+    "data-content-id": `stimulus_${q.id}`,
+    "data-content-type": `stimulus_${q.type}`,
+    "data-stimulus-id": q.id,
+    "data-aois": JSON.stringify(q.aois || []),
+    style: {
+      display: "block",
+      width: "100%",
+      maxWidth: q.maxWidth || "100%",
+      height: "auto",
+      marginTop: 12,
+      borderRadius: 8,
+    },
+  };
+
+  if (q.type === "video") {
+    return (
+      <video
+        key={q.id}
+        {...common}
+        autoPlay={q.autoplay ?? true}
+        loop={q.loop ?? false}
+        muted={q.muted ?? true}
+        controls={q.controls ?? false}
+        playsInline
+      />
+    );
+  }
+  return <img key={q.id} {...common} alt={q.alt || ""} draggable={false} />;
+}
@@ -0,0 +1,83 @@
+// aoiMetrics.js
+// - Per question_id / content_id summaries of gaze samples and detected fixations
+// - Dwell: each gaze sample counts for the time until the next sample (capped at maxGapMs)
+// - Visits: runs of consecutive fixations on the same AOI within a question
+
+import { DEFAULT_EVENT_DETECTION, gazeSamplesFromRows } from "./eventDetection";
+
+function keyOf(questionId, contentId) {
+  return `${questionId}\u0000${contentId}`;
+}
+
+export function computeAoiMetrics(rows, fixations, options = {}) {
+  const { maxGapMs } = { ...DEFAULT_EVENT_DETECTION, ...options };
+  const samples = gazeSamplesFromRows(rows);
+
+  const questionTime = new Map();
+  const questionOnset = new Map();
+  const aois = new Map();
+
+  const aoiFor = (questionId, contentId) => {
+    const k = keyOf(questionId, contentId);
+    if (!aois.has(k)) {
+      aois.set(k, {
+        question_id: questionId,
+        content_id: contentId,
+        content_type: "",
+        sample_count: 0,
+        dwell_ms: 0,
+        fixations: [],
+      });
+    }
+    return aois.get(k);
+  };
+
+  samples.forEach((s, i) => {
+    const next = samples[i + 1];
+    const weight = next ? Math.min(next.t - s.t, maxGapMs) : 0;
+    if (!questionOnset.has(s.question_id)) questionOnset.set(s.question_id, s.t);
+    questionTime.set(s.question_id, (questionTime.get(s.question_id) || 0) + weight);
+    if (!s.content_id) return;
+
+    const aoi = aoiFor(s.question_id, s.content_id);
+    aoi.sample_count += 1;
+    aoi.dwell_ms += weight;
+    if (!aoi.content_type) aoi.content_type = s.content_type;
+  });
+
+  // Visits are counted on the fixation sequence of each question
+  const lastAoiByQuestion = new Map();
+  for (const f of fixations) {
+    if (!f.content_id) {
+      lastAoiByQuestion.set(f.question_id, "");
+      continue;
+    }
+    const aoi = aoiFor(f.question_id, f.content_id);
+    aoi.fixations.push(f);
+    if (lastAoiByQuestion.get(f.question_id) !== f.content_id) {
+      aoi.visit_count = (aoi.visit_count || 0) + 1;
+    }
+    lastAoiByQuestion.set(f.question_id, f.content_id);
+  }
+
+  return Array.from(aois.values()).map((aoi) => {
+    const qTime = questionTime.get(aoi.question_id) || 0;
+    const onset = questionOnset.get(aoi.question_id);
+    const first = aoi.fixations[0];
+    const visits = aoi.visit_count || 0;
+    return {
+      question_id: aoi.question_id,
+      content_id: aoi.content_id,
+      content_type: aoi.content_type,
+      dwell_ms: Math.round(aoi.dwell_ms),
+      dwell_share: qTime > 0 ? (aoi.dwell_ms / qTime).toFixed(4) : "",
+      time_to_first_fixation_ms: first && onset != null ? Math.round(first.start_ts_ms - onset) : "",
+      first_fixation_duration_ms: first ? Math.round(first.duration_ms) : "",
+      fixation_count: aoi.fixations.length,
+      visit_count: visits,
+      revisit_count: Math.max(0, visits - 1),
+      sample_count: aoi.sample_count,
+      question_time_ms: Math.round(qTime),
+    };
+  });
+}
@@ -0,0 +1,73 @@
+// audioWav.js
+// - Decodes MediaRecorder clips (webm / ogg / mp4) with Web Audio and converts them to
+//   16-bit PCM WAV at a fixed sample rate for speech-analysis tools
+// - Resampling is done by rendering the decoded buffer in an OfflineAudioContext running at
+//   the target rate (the browser's resampler, band-limited)
+
+export const DEFAULT_WAV_SAMPLE_RATE = 16000;
+
+// File extension for a recorder mime type ("audio/webm;codecs=opus" -> "webm")
+export function audioExtension(mimeType) {
+  const type = (mimeType || "").split(";")[0].trim();
+  if (type.includes("ogg")) return "ogg";
+  if (type.includes("wav")) return "wav";
+  if (type.includes("mp4") || type.includes("aac")) return "m4a";
+  if (type.includes("mpeg")) return "mp3";
+  return "webm";
+}
+
+export async function decodeAudioBlob(blob) {
+  const data = await blob.arrayBuffer();
+  return new OfflineAudioContext(1, 1, 44100).decodeAudioData(data);
+}
+
+export async function resampleAudioBuffer(buffer, sampleRate, channels = 1) {
+  const length = Math.max(1, Math.ceil(buffer.duration * sampleRate));
+  const ctx = new OfflineAudioContext(channels, length, sampleRate);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(ctx.destination);
+  source.start();
+  return ctx.startRendering();
+}
+
+// channelData: one Float32Array per channel, all the same length
+export function encodeWav(channelData, sampleRate) {
+  const channels = channelData.length;
+  const frames = channelData[0]?.length ?? 0;
+  const bytesPerSample = 2;
+  const dataBytes = frames * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataBytes));
+  const ascii = (offset, s) => [...s].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+
+  ascii(0, "RIFF");
+  view.setUint32(4, 36 + dataBytes, true);
+  ascii(8, "WAVE");
+  ascii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  ascii(36, "data");
+  view.setUint32(40, dataBytes, true);
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const v = Math.max(-1, Math.min(1, channelData[c][i]));
+      view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return new Blob([view.buffer], { type: "audio/wav" });
+}
+
+export async function blobToWav(blob, { sampleRate = DEFAULT_WAV_SAMPLE_RATE, channels = 1 } = {}) {
+  const decoded = await decodeAudioBlob(blob);
+  const rendered = await resampleAudioBuffer(decoded, sampleRate, channels);
+  const data = Array.from({ length: channels }, (_, c) => rendered.getChannelData(c));
+  return encodeWav(data, sampleRate);
+}
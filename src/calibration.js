@@ -0,0 +1,161 @@
+// calibration.js
+// - Calibration point layouts (5 / 9 / 13 / 16 points) with configurable margin
+// - Seeded point order shuffling so a run can be reproduced from the export
+// - Validation target layout (kept apart from the calibration grid)
+// - Accuracy / precision metrics for gaze samples collected on fixed targets
+
+export const CALIBRATION_PATTERNS = [5, 9, 13, 16];
+
+function linspace(lo, hi, n) {
+  if (n === 1) return [(lo + hi) / 2];
+  return Array.from({ length: n }, (_, i) => lo + ((hi - lo) * i) / (n - 1));
+}
+
+// Relative [0..1] positions; margin is the fraction of the viewport kept free at each edge
+function patternRelativePoints(pattern, margin) {
+  const lo = margin;
+  const hi = 1 - margin;
+  const grid = (n) => {
+    const pts = [];
+    for (const y of linspace(lo, hi, n)) for (const x of linspace(lo, hi, n)) pts.push([x, y]);
+    return pts;
+  };
+
+  switch (Number(pattern)) {
+    case 5:
+      return [[lo, lo], [hi, lo], [0.5, 0.5], [lo, hi], [hi, hi]];
+    case 9:
+      return grid(3);
+    case 13: {
+      const inner = linspace((lo + 0.5) / 2, (hi + 0.5) / 2, 2);
+      const extra = [];
+      for (const y of inner) for (const x of inner) extra.push([x, y]);
+      return [...grid(3), ...extra];
+    }
+    case 16:
+      return grid(4);
+    default:
+      throw new Error(`Unsupported calibration pattern: ${pattern} (use ${CALIBRATION_PATTERNS.join(", ")})`);
+  }
+}
+
+export function makeCalibrationPoints(pattern, w, h, margin = 0.1) {
+  const m = Math.min(0.45, Math.max(0, Number(margin) || 0));
+  return patternRelativePoints(pattern, m).map(([px, py]) => [Math.round(px * w), Math.round(py * h)]);
+}
+
+// mulberry32: tiny deterministic PRNG so a seed reproduces the same order
+export function makeSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
+
+// Returns the visiting order as indices into the point list
+export function makePointOrder(count, order = "sequential", seed = null) {
+  const idx = Array.from({ length: count }, (_, i) => i);
+  if (order !== "random") return idx;
+  const rand = makeSeededRandom(seed ?? randomSeed());
+  for (let i = idx.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx;
+}
+
+export function makeValidationPoints(w, h) {
+  const rel = [
+    [0.25, 0.25],
+    [0.75, 0.25],
+    [0.5, 0.5],
+    [0.25, 0.75],
+    [0.75, 0.75],
+  ];
+  return rel.map(([px, py]) => [Math.round(px * w), Math.round(py * h)]);
+}
+
+function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function round(n, digits) {
+  if (n == null || !isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+// samples: [{ x, y, ts }] collected while the participant looked at target [tx, ty]
+export function computePointQuality(target, samples, viewport) {
+  const [tx, ty] = target;
+  const { w, h } = viewport;
+  const diag = Math.hypot(w, h) || 1;
+
+  if (!samples.length) {
+    return {
+      target_x_px: tx,
+      target_y_px: ty,
+      sample_count: 0,
+      mean_x_px: null,
+      mean_y_px: null,
+      accuracy_px: null,
+      accuracy_norm: null,
+      precision_rms_px: null,
+      precision_rms_norm: null,
+    };
+  }
+
+  const offsets = samples.map((s) => Math.hypot(s.x - tx, s.y - ty));
+  const accuracyPx = mean(offsets);
+
+  // RMS of sample-to-sample distances
+  let sumSq = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const d = Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y);
+    sumSq += d * d;
+  }
+  const precisionPx = samples.length > 1 ? Math.sqrt(sumSq / (samples.length - 1)) : null;
+
+  return {
+    target_x_px: tx,
+    target_y_px: ty,
+    sample_count: samples.length,
+    mean_x_px: round(mean(samples.map((s) => s.x)), 1),
+    mean_y_px: round(mean(samples.map((s) => s.y)), 1),
+    accuracy_px: round(accuracyPx, 1),
+    accuracy_norm: round(accuracyPx / diag, 4),
+    precision_rms_px: round(precisionPx, 1),
+    precision_rms_norm: precisionPx == null ? null : round(precisionPx / diag, 4),
+  };
+}
+
+// Normalized units are relative to the viewport diagonal so they are comparable across screens.
+export function computeValidationReport(targets, samplesPerPoint, viewport, maxErrorPx) {
+  const points = targets.map((t, i) => computePointQuality(t, samplesPerPoint[i] || [], viewport));
+  const measured = points.filter((p) => p.accuracy_px != null);
+  const withPrecision = points.filter((p) => p.precision_rms_px != null);
+  const accuracyPx = mean(measured.map((p) => p.accuracy_px));
+  const precisionPx = mean(withPrecision.map((p) => p.precision_rms_px));
+  const diag = Math.hypot(viewport.w, viewport.h) || 1;
+
+  return {
+    points,
+    accuracy_px: round(accuracyPx, 1),
+    accuracy_norm: accuracyPx == null ? null : round(accuracyPx / diag, 4),
+    precision_rms_px: round(precisionPx, 1),
+    precision_rms_norm: precisionPx == null ? null : round(precisionPx / diag, 4),
+    max_error_px: maxErrorPx,
+    passed: measured.length === points.length && accuracyPx != null && accuracyPx <= maxErrorPx,
+    viewport_w: viewport.w,
+    viewport_h: viewport.h,
+  };
+}
@@ -0,0 +1,86 @@
+// csv.js
+// - CSV writing / parsing shared by the recorder, analysis views and App
+// - Browser download helpers
+
+export function csvEscape(v) {
+  if (v == null) return "";
+  const s = String(v);
+  if (/[,"\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// Header is the union of keys in first-seen order, so sparse event rows still line up
+export function toCsv(rows) {
+  const headerSet = new Set();
+  rows.forEach((r) => Object.keys(r).forEach((k) => headerSet.add(k)));
+  const header = Array.from(headerSet);
+  const lines = [
+    header.join(","),
+    ...rows.map((r) => header.map((k) => csvEscape(r[k])).join(",")),
+  ];
+  return lines.join("\n");
+}
+
+export function downloadBlob(filename, blob) {
+  if (!blob) return;
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadCsv(filename, rows) {
+  if (!rows.length) return;
+  downloadBlob(filename, new Blob([toCsv(rows)], { type: "text/csv;charset=utf-8;" }));
+}
+
+// RFC 4180-style parser; returns objects keyed by the header row, values as strings
+export function parseCsv(text) {
+  const records = [];
+  let field = "";
+  let record = [];
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ",") {
+      record.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      field = "";
+      record = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...body] = records.filter((r) => !(r.length === 1 && r[0] === ""));
+  if (!header) return [];
+  return body.map((r) => Object.fromEntries(header.map((k, i) => [k.replace(/^\uFEFF/, ""), r[i] ?? ""])));
+}
+
+export async function readCsvFile(file) {
+  return parseCsv(await file.text());
+}
@@ -0,0 +1,203 @@
+// eventDetection.js
+// - Turns recorded gaze rows into fixations and saccades
+// - I-VT: samples below a velocity threshold are grouped into fixations
+// - I-DT: windows whose dispersion stays below a threshold become fixations
+// - Works on live rows (numbers) and on rows parsed back from a gaze CSV (strings)
+// Thresholds are in screen pixels: webcam trackers give no viewing distance to convert to degrees.
+
+export const DEFAULT_EVENT_DETECTION = {
+  algorithm: "ivt",
+  velocityThresholdPxPerSec: 1000,
+  dispersionThresholdPx: 100,
+  minFixationMs: 100,
+  maxGapMs: 500,
+};
+
+function toNumber(v) {
+  if (v === "" || v == null) return NaN;
+  return Number(v);
+}
+
+export function gazeSamplesFromRows(rows) {
+  const out = [];
+  for (const r of rows) {
+    if (r.event_type && r.event_type !== "gaze") continue;
+    const t = toNumber(r.ts_ms);
+    const x = toNumber(r.gaze_x_px);
+    const y = toNumber(r.gaze_y_px);
+    if (!isFinite(t) || !isFinite(x) || !isFinite(y)) continue;
+    out.push({
+      t,
+      x,
+      y,
+      content_id: r.content_id || "",
+      content_type: r.content_type || "",
+      question_id: r.question_id || "",
+    });
+  }
+  out.sort((a, b) => a.t - b.t);
+  return out;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  let best = "";
+  let bestCount = 0;
+  for (const v of values) {
+    const n = (counts.get(v) || 0) + 1;
+    counts.set(v, n);
+    if (n > bestCount) {
+      best = v;
+      bestCount = n;
+    }
+  }
+  return best;
+}
+
+function dispersion(samples) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const s of samples) {
+    if (s.x < minX) minX = s.x;
+    if (s.x > maxX) maxX = s.x;
+    if (s.y < minY) minY = s.y;
+    if (s.y > maxY) maxY = s.y;
+  }
+  return maxX - minX + (maxY - minY);
+}
+
+function makeFixation(samples) {
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const n = samples.length;
+  return {
+    start_ts_ms: first.t,
+    end_ts_ms: last.t,
+    duration_ms: last.t - first.t,
+    x_px: Math.round(samples.reduce((a, s) => a + s.x, 0) / n),
+    y_px: Math.round(samples.reduce((a, s) => a + s.y, 0) / n),
+    dispersion_px: Math.round(dispersion(samples)),
+    sample_count: n,
+    content_id: mostCommon(samples.map((s) => s.content_id)),
+    question_id: mostCommon(samples.map((s) => s.question_id)),
+    // kept for saccade derivation; not exported
+    firstIndex: first.index,
+    lastIndex: last.index,
+  };
+}
+
+// Split the stream wherever tracking dropped out for longer than maxGapMs
+function splitOnGaps(samples, maxGapMs) {
+  const runs = [];
+  let cur = [];
+  samples.forEach((s, i) => {
+    const sample = { ...s, index: i };
+    if (cur.length && s.t - cur[cur.length - 1].t > maxGapMs) {
+      runs.push(cur);
+      cur = [];
+    }
+    cur.push(sample);
+  });
+  if (cur.length) runs.push(cur);
+  return runs;
+}
+
+export function detectFixationsIVT(samples, options = {}) {
+  const { velocityThresholdPxPerSec, minFixationMs, maxGapMs } = { ...DEFAULT_EVENT_DETECTION, ...options };
+  const fixations = [];
+
+  for (const run of splitOnGaps(samples, maxGapMs)) {
+    let group = [];
+    run.forEach((s, i) => {
+      const prev = run[i - 1];
+      const dt = prev ? s.t - prev.t : 0;
+      const v = prev && dt > 0 ? (Math.hypot(s.x - prev.x, s.y - prev.y) / dt) * 1000 : 0;
+      if (v < velocityThresholdPxPerSec) {
+        group.push(s);
+      } else {
+        if (group.length) fixations.push(group);
+        group = [s];
+      }
+    });
+    if (group.length) fixations.push(group);
+  }
+
+  return fixations.map(makeFixation).filter((f) => f.duration_ms >= minFixationMs);
+}
+
+export function detectFixationsIDT(samples, options = {}) {
+  const { dispersionThresholdPx, minFixationMs, maxGapMs } = { ...DEFAULT_EVENT_DETECTION, ...options };
+  const fixations = [];
+
+  for (const run of splitOnGaps(samples, maxGapMs)) {
+    let start = 0;
+    while (start < run.length) {
+      // Smallest window that spans the minimum duration
+      let end = start;
+      while (end < run.length && run[end].t - run[start].t < minFixationMs) end++;
+      if (end >= run.length) break;
+
+      if (dispersion(run.slice(start, end + 1)) > dispersionThresholdPx) {
+        start++;
+        continue;
+      }
+      while (end + 1 < run.length && dispersion(run.slice(start, end + 2)) <= dispersionThresholdPx) end++;
+      fixations.push(makeFixation(run.slice(start, end + 1)));
+      start = end + 1;
+    }
+  }
+
+  return fixations;
+}
+
+// A saccade is the movement between two consecutive fixations that are not separated by a tracking gap
+export function deriveSaccades(fixations, samples, options = {}) {
+  const { maxGapMs } = { ...DEFAULT_EVENT_DETECTION, ...options };
+  const saccades = [];
+
+  for (let i = 1; i < fixations.length; i++) {
+    const a = fixations[i - 1];
+    const b = fixations[i];
+    const path = samples.slice(a.lastIndex, b.firstIndex + 1);
+    const hasGap = path.some((s, j) => j > 0 && s.t - path[j - 1].t > maxGapMs);
+    if (hasGap || path.length < 2) continue;
+
+    let peak = 0;
+    for (let j = 1; j < path.length; j++) {
+      const dt = path[j].t - path[j - 1].t;
+      if (dt <= 0) continue;
+      peak = Math.max(peak, (Math.hypot(path[j].x - path[j - 1].x, path[j].y - path[j - 1].y) / dt) * 1000);
+    }
+
+    const start = path[0];
+    const end = path[path.length - 1];
+    saccades.push({
+      start_ts_ms: start.t,
+      end_ts_ms: end.t,
+      duration_ms: end.t - start.t,
+      start_x_px: Math.round(start.x),
+      start_y_px: Math.round(start.y),
+      end_x_px: Math.round(end.x),
+      end_y_px: Math.round(end.y),
+      amplitude_px: Math.round(Math.hypot(end.x - start.x, end.y - start.y)),
+      peak_velocity_px_s: Math.round(peak),
+      from_content_id: a.content_id,
+      to_content_id: b.content_id,
+      question_id: b.question_id,
+    });
+  }
+
+  return saccades;
+}
+
+export function detectEvents(rows, options = {}) {
+  const opts = { ...DEFAULT_EVENT_DETECTION, ...options };
+  const samples = gazeSamplesFromRows(rows);
+  const detected =
+    opts.algorithm === "idt" ? detectFixationsIDT(samples, opts) : detectFixationsIVT(samples, opts);
+  const saccades = deriveSaccades(detected, samples, opts);
+  const fixations = detected.map(({ firstIndex, lastIndex, ...f }) => f);
+  return { fixations, saccades, options: opts };
+}
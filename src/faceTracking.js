@@ -0,0 +1,117 @@
+// faceTracking.js
+// - Loads MediaPipe Face Mesh from the vendored copy in public/mediapipe/face_mesh (no CDN)
+// - Head pose (yaw / pitch / roll), face distance proxy and eye aspect ratio from landmarks
+// - Blink detection on the eye aspect ratio stream
+
+const FACE_MESH_BASE = `${import.meta.env.BASE_URL}mediapipe/face_mesh/`;
+
+// Landmark indices (subject's right / left as seen by the camera)
+const RIGHT_EYE = [33, 160, 158, 133, 153, 144];
+const LEFT_EYE = [362, 385, 387, 263, 373, 380];
+const NOSE_TIP = 1;
+const FOREHEAD = 10;
+const CHIN = 152;
+
+let scriptPromise = null;
+
+function loadFaceMeshScript() {
+  if (window.FaceMesh) return Promise.resolve();
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      const el = document.createElement("script");
+      el.src = `${FACE_MESH_BASE}face_mesh.js`;
+      el.crossOrigin = "anonymous";
+      el.onload = () => resolve();
+      el.onerror = () => {
+        scriptPromise = null;
+        reject(new Error(`Failed to load ${el.src}`));
+      };
+      document.head.appendChild(el);
+    });
+  }
+  return scriptPromise;
+}
+
+export async function createFaceMesh({ refineLandmarks = false, onResults } = {}) {
+  await loadFaceMeshScript();
+  const faceMesh = new window.FaceMesh({ locateFile: (file) => `${FACE_MESH_BASE}${file}` });
+  faceMesh.setOptions({
+    maxNumFaces: 1,
+    refineLandmarks,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+  });
+  faceMesh.onResults(onResults);
+  await faceMesh.initialize();
+  return faceMesh;
+}
+
+// Landmarks are normalized to the image; scale to pixels so x and y distances are comparable.
+// MediaPipe's z uses roughly the same scale as x.
+function toPx(lm, w, h) {
+  return { x: lm.x * w, y: lm.y * h, z: lm.z * w };
+}
+
+function dist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function eyeAspectRatio(pts) {
+  const [p1, p2, p3, p4, p5, p6] = pts;
+  const horizontal = dist(p1, p4);
+  if (!horizontal) return null;
+  return (dist(p2, p6) + dist(p3, p5)) / (2 * horizontal);
+}
+
+const deg = (rad) => (rad * 180) / Math.PI;
+
+export function computeFaceMetrics(landmarks, width, height) {
+  const p = (i) => toPx(landmarks[i], width, height);
+  const rightOuter = p(RIGHT_EYE[0]);
+  const leftOuter = p(LEFT_EYE[3]);
+  const forehead = p(FOREHEAD);
+  const chin = p(CHIN);
+
+  const earRight = eyeAspectRatio(RIGHT_EYE.map(p));
+  const earLeft = eyeAspectRatio(LEFT_EYE.map(p));
+  const ear = earRight != null && earLeft != null ? (earRight + earLeft) / 2 : null;
+
+  // Outer eye corner distance relative to frame width: larger means closer to the camera
+  const interOcular = dist(rightOuter, leftOuter);
+
+  return {
+    head_yaw_deg: deg(Math.atan2(leftOuter.z - rightOuter.z, leftOuter.x - rightOuter.x)),
+    head_pitch_deg: deg(Math.atan2(chin.z - forehead.z, chin.y - forehead.y)),
+    head_roll_deg: deg(Math.atan2(leftOuter.y - rightOuter.y, leftOuter.x - rightOuter.x)),
+    face_distance_proxy: width ? interOcular / width : null,
+    ear,
+    ear_left: earLeft,
+    ear_right: earRight,
+    nose: p(NOSE_TIP),
+  };
+}
+
+// Emits { onset, offset, duration } (performance.now() ms) when the eyes reopen.
+// Closures shorter than minMs are treated as noise, longer than maxMs as eyes closed (not a blink).
+export function createBlinkDetector({ earThreshold = 0.2, minMs = 50, maxMs = 500, onBlink } = {}) {
+  let closedSince = null;
+  return {
+    update(ear, ts) {
+      if (ear == null) {
+        closedSince = null;
+        return false;
+      }
+      const closed = ear < earThreshold;
+      if (closed && closedSince == null) closedSince = ts;
+      if (!closed && closedSince != null) {
+        const duration = ts - closedSince;
+        if (duration >= minMs && duration <= maxMs) onBlink?.({ onset: closedSince, offset: ts, duration });
+        closedSince = null;
+      }
+      return closed;
+    },
+    reset() {
+      closedSince = null;
+    },
+  };
+}
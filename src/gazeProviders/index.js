@@ -0,0 +1,46 @@
+// gazeProviders
+// A gaze provider wraps one eye-tracking backend behind a common interface:
+//   name                      short id written to the session export
+//   start(): Promise          acquire the camera and begin predicting
+//   stop()                    release the camera and remove any overlays
+//   calibrate(x, y)           add a training sample: the participant is looking at (x, y)
+//   onGaze(fn): unsubscribe   fn({ x, y, ts }) per prediction, viewport px / performance.now();
+//                             fn({ x: null, y: null, ts, valid: false }) when a frame gave no prediction
+//   setOverlays({ prediction, face, video })   toggle debug overlays
+//   getVideoElement()         the webcam <video> in use, or null
+//   onFaceResults(fn)         optional: fn(results) per Face Mesh frame when the provider already
+//                             runs Face Mesh, so face tracking reuses it instead of a second instance
+
+import createWebGazerProvider from "./webgazerProvider";
+import createMediaPipeIrisProvider from "./mediapipeIrisProvider";
+import createSimulatedProvider from "./simulatedProvider";
+
+export const GAZE_PROVIDERS = {
+  webgazer: createWebGazerProvider,
+  mediapipe: createMediaPipeIrisProvider,
+  simulated: createSimulatedProvider,
+};
+
+// `provider` is a registered name or an already-built provider object
+export function createGazeProvider(provider = "webgazer", options = {}) {
+  if (provider && typeof provider === "object") return provider;
+  const factory = GAZE_PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown gaze provider "${provider}" (use ${Object.keys(GAZE_PROVIDERS).join(", ")})`);
+  }
+  return factory(options);
+}
+
+// ?gaze=simulated&mode=script&noise=10&hz=30&seed=7&csv=/demo/gaze.csv
+// Lets demos and headless runs pick a provider without code changes.
+export function gazeProviderFromQuery(search = window.location.search) {
+  const q = new URLSearchParams(search);
+  const provider = q.get("gaze") || "webgazer";
+  const options = {};
+  if (q.has("mode")) options.mode = q.get("mode");
+  if (q.has("noise")) options.noisePx = Number(q.get("noise"));
+  if (q.has("hz")) options.sampleHz = Number(q.get("hz"));
+  if (q.has("seed")) options.seed = Number(q.get("seed"));
+  if (q.has("csv")) options.csvUrl = q.get("csv");
+  return { provider, options };
+}
@@ -0,0 +1,214 @@
+// mediapipeIrisProvider.js
+// Gaze from MediaPipe Face Mesh iris landmarks (refineLandmarks) mapped to the screen by a
+// ridge regression that is trained from calibrate(x, y) points. Uses the local Face Mesh assets.
+// Its Face Mesh results are shared through onFaceResults, so head pose and blinks come from the
+// same instance.
+
+import { computeFaceMetrics, createFaceMesh } from "../faceTracking";
+
+const RIGHT_IRIS = 468;
+const LEFT_IRIS = 473;
+// [outer, inner, upper lid, lower lid]
+const RIGHT_EYE_BOX = [33, 133, 159, 145];
+const LEFT_EYE_BOX = [263, 362, 386, 374];
+
+function irisOffset(landmarks, iris, [outer, inner, upper, lower]) {
+  const o = landmarks[outer];
+  const i = landmarks[inner];
+  const u = landmarks[upper];
+  const l = landmarks[lower];
+  const c = landmarks[iris];
+  const w = Math.hypot(i.x - o.x, i.y - o.y) || 1e-6;
+  const h = Math.hypot(l.x - u.x, l.y - u.y) || 1e-6;
+  return [(c.x - (o.x + i.x) / 2) / w, (c.y - (u.y + l.y) / 2) / h];
+}
+
+function featuresFrom(landmarks, width, height) {
+  const [rx, ry] = irisOffset(landmarks, RIGHT_IRIS, RIGHT_EYE_BOX);
+  const [lx, ly] = irisOffset(landmarks, LEFT_IRIS, LEFT_EYE_BOX);
+  const m = computeFaceMetrics(landmarks, width, height);
+  return [1, rx, ry, lx, ly, m.head_yaw_deg / 45, m.head_pitch_deg / 45, m.nose.x / width, m.nose.y / height];
+}
+
+// Solves (XᵀX + λI) w = Xᵀy with Gaussian elimination; the bias term is not penalized
+function ridgeFit(X, y, lambda) {
+  const n = X[0].length;
+  const A = Array.from({ length: n }, (_, r) => {
+    const row = new Array(n + 1).fill(0);
+    for (let c = 0; c < n; c++) {
+      for (const xi of X) row[c] += xi[r] * xi[c];
+      if (r === c && r > 0) row[c] += lambda;
+    }
+    X.forEach((xi, k) => (row[n] += xi[r] * y[k]));
+    return row;
+  });
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    const p = A[col][col];
+    if (Math.abs(p) < 1e-12) return null;
+    for (let c = col; c <= n; c++) A[col][c] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = A[r][col];
+      for (let c = col; c <= n; c++) A[r][c] -= f * A[col][c];
+    }
+  }
+  return A.map((row) => row[n]);
+}
+
+const dot = (w, f) => w.reduce((acc, wi, i) => acc + wi * f[i], 0);
+
+export default function createMediaPipeIrisProvider({
+  fps = 30,
+  lambda = 1e-3,
+  minCalibrationSamples = 10,
+  smoothing = 0.5,
+} = {}) {
+  const listeners = new Set();
+  const faceListeners = new Set();
+  const training = [];
+  let model = null;
+  let latestFeatures = null;
+  let smoothed = null;
+  let stream = null;
+  let video = null;
+  let predictionDot = null;
+  let faceMesh = null;
+  let timer = null;
+  let running = false;
+  let showPrediction = true;
+
+  function fit() {
+    if (training.length < minCalibrationSamples) return;
+    const X = training.map((t) => t.f);
+    const wx = ridgeFit(X, training.map((t) => t.x), lambda);
+    const wy = ridgeFit(X, training.map((t) => t.y), lambda);
+    if (wx && wy) model = { wx, wy };
+  }
+
+  function onResults(results) {
+    faceListeners.forEach((fn) => fn(results));
+    const landmarks = results.multiFaceLandmarks?.[0];
+    if (!landmarks || landmarks.length <= LEFT_IRIS) {
+      latestFeatures = null;
+      if (model) listeners.forEach((fn) => fn({ x: null, y: null, ts: performance.now(), valid: false }));
+      return;
+    }
+    latestFeatures = featuresFrom(landmarks, results.image?.width || 1, results.image?.height || 1);
+    if (!model) return;
+
+    const x = dot(model.wx, latestFeatures);
+    const y = dot(model.wy, latestFeatures);
+    smoothed = smoothed
+      ? { x: smoothed.x + (x - smoothed.x) * smoothing, y: smoothed.y + (y - smoothed.y) * smoothing }
+      : { x, y };
+    const g = { x: smoothed.x, y: smoothed.y, ts: performance.now() };
+    if (predictionDot) {
+      predictionDot.style.display = showPrediction ? "block" : "none";
+      predictionDot.style.transform = `translate(${g.x - 5}px, ${g.y - 5}px)`;
+    }
+    listeners.forEach((fn) => fn(g));
+  }
+
+  return {
+    name: "mediapipe",
+
+    async start() {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { width: 640, height: 480 } });
+      video = document.createElement("video");
+      video.id = "mediapipeIrisVideoFeed";
+      video.autoplay = true;
+      video.muted = true;
+      video.playsInline = true;
+      video.srcObject = stream;
+      Object.assign(video.style, {
+        position: "fixed",
+        left: "8px",
+        bottom: "8px",
+        width: "240px",
+        transform: "scaleX(-1)",
+        zIndex: 9998,
+        borderRadius: "8px",
+      });
+      document.body.appendChild(video);
+      await video.play();
+
+      predictionDot = document.createElement("div");
+      Object.assign(predictionDot.style, {
+        position: "fixed",
+        left: 0,
+        top: 0,
+        width: "10px",
+        height: "10px",
+        borderRadius: "999px",
+        background: "red",
+        pointerEvents: "none",
+        zIndex: 99999,
+        display: "none",
+      });
+      document.body.appendChild(predictionDot);
+
+      faceMesh = await createFaceMesh({ refineLandmarks: true, onResults });
+      running = true;
+      const periodMs = Math.max(15, Math.round(1000 / fps));
+      const loop = async () => {
+        if (!running) return;
+        if (video.readyState >= 2) {
+          try {
+            await faceMesh.send({ image: video });
+          } catch {}
+        }
+        if (running) timer = setTimeout(loop, periodMs);
+      };
+      loop();
+    },
+
+    stop() {
+      running = false;
+      listeners.clear();
+      faceListeners.clear();
+      if (timer) clearTimeout(timer);
+      try {
+        faceMesh?.close();
+      } catch {}
+      stream?.getTracks().forEach((t) => t.stop());
+      video?.remove();
+      predictionDot?.remove();
+      faceMesh = null;
+      stream = null;
+      video = null;
+      predictionDot = null;
+    },
+
+    calibrate(x, y) {
+      if (!latestFeatures) return;
+      training.push({ f: latestFeatures, x, y });
+      fit();
+    },
+
+    onGaze(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    onFaceResults(listener) {
+      faceListeners.add(listener);
+      return () => faceListeners.delete(listener);
+    },
+
+    setOverlays({ prediction, video: showVideo } = {}) {
+      if (prediction != null) {
+        showPrediction = prediction;
+        if (predictionDot && !prediction) predictionDot.style.display = "none";
+      }
+      if (showVideo != null && video) video.style.display = showVideo ? "block" : "none";
+    },
+
+    getVideoElement() {
+      return video;
+    },
+  };
+}
@@ -0,0 +1,192 @@
+// simulatedProvider.js
+// Camera-free gaze source for demos and automated runs. Modes:
+//   "mouse"   follows the mouse pointer
+//   "replay"  replays gaze rows from an exported gaze CSV at their original ts_ms spacing
+//   "script"  fixates a sequence of targets ([data-content-id] elements or fixed points)
+// Noise is Gaussian (noisePx standard deviation) from a seeded PRNG so runs are reproducible.
+// Replay defaults to no noise so a replayed session reproduces the recorded one.
+// test/simulatedSession.test.jsx drives script mode headlessly (npm test).
+
+import { makeSeededRandom } from "../calibration";
+import { parseCsv } from "../csv";
+
+function gaussian(rand) {
+  const u = Math.max(rand(), 1e-12);
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function centerOf(el) {
+  const r = el.getBoundingClientRect();
+  return { x: r.x + r.width / 2, y: r.y + r.height / 2 };
+}
+
+// Script steps: { contentId } | { selector } | { x, y }, each with an optional durationMs.
+// Without a script every visible [data-content-id] element is visited in document order.
+function resolveTarget(step) {
+  if (step.x != null && step.y != null) return { x: step.x, y: step.y };
+  const selector = step.contentId ? `[data-content-id="${CSS.escape(step.contentId)}"]` : step.selector;
+  const el = selector ? document.querySelector(selector) : null;
+  return el ? centerOf(el) : null;
+}
+
+function defaultScript(dwellMs) {
+  return Array.from(document.querySelectorAll("[data-content-id]"))
+    .filter((el) => {
+      const r = el.getBoundingClientRect();
+      return r.width > 0 && r.height > 0 && r.bottom > 0 && r.top < window.innerHeight;
+    })
+    .map((el) => ({ contentId: el.dataset.contentId, durationMs: dwellMs }));
+}
+
+function replayRowsFrom(rows) {
+  return rows
+    .filter((r) => (!r.event_type || r.event_type === "gaze") && r.gaze_x_px !== "" && r.gaze_y_px !== "")
+    .map((r) => ({ t: Number(r.ts_ms), x: Number(r.gaze_x_px), y: Number(r.gaze_y_px) }))
+    .filter((r) => isFinite(r.t) && isFinite(r.x) && isFinite(r.y))
+    .sort((a, b) => a.t - b.t);
+}
+
+export default function createSimulatedProvider({
+  mode = "mouse",
+  sampleHz = 30,
+  noisePx = mode === "replay" ? 0 : 15,
+  seed = 1,
+  script = null,
+  dwellMs = 1500,
+  loop = true,
+  rows = null,
+  csvText = "",
+  csvUrl = "",
+} = {}) {
+  const listeners = new Set();
+  const rand = makeSeededRandom(seed);
+  let timer = null;
+  let mouse = null;
+  let replay = [];
+  let stepIdx = 0;
+  let stepStartedAt = 0;
+  let steps = [];
+  let replayStartedAt = 0;
+  let replayIdx = 0;
+  let predictionDot = null;
+
+  const onMouseMove = (e) => {
+    mouse = { x: e.clientX, y: e.clientY };
+  };
+
+  function emit(x, y, ts = performance.now()) {
+    const g = { x: x + gaussian(rand) * noisePx, y: y + gaussian(rand) * noisePx, ts };
+    if (predictionDot) predictionDot.style.transform = `translate(${g.x - 5}px, ${g.y - 5}px)`;
+    listeners.forEach((fn) => fn(g));
+  }
+
+  function tickMouse() {
+    if (mouse) emit(mouse.x, mouse.y);
+  }
+
+  function tickScript(now) {
+    if (!steps.length) {
+      steps = script?.length ? script : defaultScript(dwellMs);
+      stepIdx = 0;
+      stepStartedAt = now;
+      if (!steps.length) return;
+    }
+    if (stepIdx >= steps.length) return;
+    const step = steps[stepIdx];
+    if (now - stepStartedAt >= (step.durationMs ?? dwellMs)) {
+      stepIdx += 1;
+      stepStartedAt = now;
+      if (stepIdx >= steps.length) {
+        // Re-scan on each pass: the page (question) may have changed
+        if (loop) steps = [];
+        return;
+      }
+    }
+    const target = resolveTarget(steps[stepIdx]);
+    if (target) emit(target.x, target.y, now);
+  }
+
+  function tickReplay(now) {
+    if (!replay.length) return;
+    const elapsed = now - replayStartedAt;
+    const t0 = replay[0].t;
+    while (replayIdx < replay.length && replay[replayIdx].t - t0 <= elapsed) {
+      const r = replay[replayIdx];
+      emit(r.x, r.y, replayStartedAt + (r.t - t0));
+      replayIdx += 1;
+    }
+    if (replayIdx >= replay.length && loop) {
+      replayIdx = 0;
+      replayStartedAt = now;
+    }
+  }
+
+  return {
+    name: `simulated:${mode}`,
+
+    async start() {
+      if (mode === "replay") {
+        let source = rows;
+        if (!source && csvText) source = parseCsv(csvText);
+        if (!source && csvUrl) source = parseCsv(await (await fetch(csvUrl)).text());
+        replay = replayRowsFrom(source || []);
+        if (!replay.length) throw new Error("Simulated replay has no gaze rows (pass rows, csvText or csvUrl)");
+      } else if (mode === "mouse") {
+        window.addEventListener("mousemove", onMouseMove);
+      } else if (mode !== "script") {
+        throw new Error(`Unknown simulated gaze mode "${mode}" (use mouse, replay or script)`);
+      }
+
+      predictionDot = document.createElement("div");
+      Object.assign(predictionDot.style, {
+        position: "fixed",
+        left: 0,
+        top: 0,
+        width: "10px",
+        height: "10px",
+        borderRadius: "999px",
+        background: "rgba(0,180,255,0.9)",
+        pointerEvents: "none",
+        zIndex: 99999,
+      });
+      document.body.appendChild(predictionDot);
+
+      const start = performance.now();
+      replayStartedAt = start;
+      stepStartedAt = start;
+      const periodMs = Math.max(5, Math.round(1000 / sampleHz));
+      timer = setInterval(() => {
+        const now = performance.now();
+        if (mode === "mouse") tickMouse();
+        else if (mode === "script") tickScript(now);
+        else tickReplay(now);
+      }, mode === "replay" ? 5 : periodMs);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      listeners.clear();
+      window.removeEventListener("mousemove", onMouseMove);
+      predictionDot?.remove();
+      predictionDot = null;
+    },
+
+    // Simulated gaze is already "calibrated"
+    calibrate() {},
+
+    onGaze(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    setOverlays({ prediction } = {}) {
+      if (prediction != null && predictionDot) predictionDot.style.display = prediction ? "block" : "none";
+    },
+
+    getVideoElement() {
+      return null;
+    },
+  };
+}
@@ -0,0 +1,91 @@
+// webgazerProvider.js
+// WebGazer bundled from npm (no CDN script). Its Face Mesh runtime is served from the
+// vendored copy in public/mediapipe/face_mesh so the tracker starts without network.
+// The landmarks WebGazer's Face Mesh finds for each prediction are shared through onFaceResults,
+// so head pose and blinks reuse them instead of running a second Face Mesh on the same video.
+
+import webgazer from "webgazer";
+
+const FACE_MESH_PATH = `${import.meta.env.BASE_URL}mediapipe/face_mesh`;
+
+export default function createWebGazerProvider({ regression = "ridge" } = {}) {
+  const listeners = new Set();
+  const faceListeners = new Set();
+  let running = false;
+  let lastPositions = null;
+
+  // getPositions() keeps the previous array when a frame finds no face, so an unchanged array
+  // means no face this frame. Positions are frame px; Face Mesh results are normalized.
+  const emitFaceResults = () => {
+    if (!faceListeners.size) return;
+    const video = document.getElementById(webgazer.params.videoElementId);
+    const width = video?.videoWidth || 0;
+    const height = video?.videoHeight || 0;
+    const positions = webgazer.getTracker()?.getPositions?.();
+    const fresh = Array.isArray(positions) && positions !== lastPositions && width && height;
+    lastPositions = positions;
+    const multiFaceLandmarks = fresh
+      ? [positions.map(([x, y, z]) => ({ x: x / width, y: y / height, z: z / width }))]
+      : [];
+    const results = { multiFaceLandmarks, image: { width, height } };
+    faceListeners.forEach((fn) => fn(results));
+  };
+
+  return {
+    name: "webgazer",
+
+    async start() {
+      webgazer.params.faceMeshSolutionPath = FACE_MESH_PATH;
+      await webgazer.setRegression(regression).saveDataAcrossSessions(false).begin();
+      // WebGazer's second argument is ms since begin(); the listener runs right after the
+      // prediction, so performance.now() is the same instant on the shared clock
+      webgazer.setGazeListener((data) => {
+        if (!running) return;
+        const ts = performance.now();
+        const g =
+          data && isFinite(data.x) && isFinite(data.y)
+            ? { x: data.x, y: data.y, ts }
+            : { x: null, y: null, ts, valid: false };
+        listeners.forEach((fn) => fn(g));
+        emitFaceResults();
+      });
+      running = true;
+    },
+
+    stop() {
+      running = false;
+      listeners.clear();
+      faceListeners.clear();
+      lastPositions = null;
+      try {
+        webgazer.clearGazeListener();
+        webgazer.end();
+      } catch {}
+    },
+
+    calibrate(x, y) {
+      webgazer.recordScreenPosition(x, y, "click");
+    },
+
+    onGaze(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    onFaceResults(listener) {
+      faceListeners.add(listener);
+      return () => faceListeners.delete(listener);
+    },
+
+    setOverlays({ prediction, face, video } = {}) {
+      if (prediction != null) webgazer.showPredictionPoints(prediction);
+      if (face != null) webgazer.showFaceOverlay(face).showFaceFeedbackBox(face);
+      if (video != null) webgazer.showVideoPreview(video);
+    },
+
+    getVideoElement() {
+      const el = document.getElementById(webgazer.params.videoElementId);
+      return el instanceof HTMLVideoElement ? el : null;
+    },
+  };
+}
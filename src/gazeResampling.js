@@ -0,0 +1,91 @@
+// gazeResampling.js
+// - Resamples the raw gaze stream (one row per provider callback, irregular timing) onto a
+//   fixed-rate clock
+// - Raw rows: { ts_ms, gaze_x_px, gaze_y_px, valid } in ts order; invalid rows (no face /
+//   no prediction) are skipped
+// - Methods:
+//     nearest  value of the valid raw sample closest in time to t
+//     linear   interpolation between the valid samples before and after t; falls back to
+//              the last sample (hold) when nothing newer has arrived or the gap is too long
+// - Each result reports where its value came from, so repeated or stale predictions are visible:
+//     source_ts_ms  timestamp of the raw sample used (the later one when interpolating)
+//     age_ms        t minus the newest valid raw sample at or before t
+//     stale         age_ms > staleMs (tracker stalled, face lost, tab throttled)
+// - nearestByTs picks per grid time the page context captured with the closest raw sample
+
+export const RESAMPLE_METHODS = ["linear", "nearest"];
+
+export const DEFAULT_RESAMPLE_OPTIONS = {
+  method: "linear",
+  maxGapMs: 150,
+  staleMs: 250,
+};
+
+// Index of the last valid row with ts_ms <= t, or -1. Searches backwards because live
+// resampling always asks for a time close to the end of the stream.
+function lastValidAtOrBefore(raw, t) {
+  for (let i = raw.length - 1; i >= 0; i--) {
+    if (raw[i].valid && raw[i].ts_ms <= t) return i;
+  }
+  return -1;
+}
+
+function firstValidAfter(raw, i) {
+  for (let j = i + 1; j < raw.length; j++) {
+    if (raw[j].valid) return j;
+  }
+  return -1;
+}
+
+export function resampleAt(raw, t, opts = {}) {
+  const { method, maxGapMs, staleMs } = { ...DEFAULT_RESAMPLE_OPTIONS, ...opts };
+  const iBefore = lastValidAtOrBefore(raw, t);
+  const iAfter = firstValidAfter(raw, iBefore);
+  if (iBefore < 0 && iAfter < 0) return null;
+
+  const before = iBefore >= 0 ? raw[iBefore] : null;
+  const after = iAfter >= 0 ? raw[iAfter] : null;
+  const age = before ? t - before.ts_ms : null;
+  const result = (row, mode, x = row.gaze_x_px, y = row.gaze_y_px) => ({
+    x,
+    y,
+    method: mode,
+    source_ts_ms: row.ts_ms,
+    age_ms: age,
+    stale: age == null || age > staleMs,
+  });
+
+  if (!before) return result(after, "nearest");
+  if (!after) return result(before, "hold");
+
+  if (method === "nearest" || after.ts_ms - before.ts_ms > maxGapMs) {
+    return t - before.ts_ms <= after.ts_ms - t ? result(before, "nearest") : result(after, "nearest");
+  }
+  const span = after.ts_ms - before.ts_ms;
+  const k = span > 0 ? (t - before.ts_ms) / span : 0;
+  return result(
+    after,
+    "linear",
+    before.gaze_x_px + (after.gaze_x_px - before.gaze_x_px) * k,
+    before.gaze_y_px + (after.gaze_y_px - before.gaze_y_px) * k
+  );
+}
+
+// Item closest in time to t from a list in ts_ms order (the earlier one on a tie), or null
+export function nearestByTs(items, t) {
+  let i = items.length - 1;
+  while (i >= 0 && items[i].ts_ms > t) i--;
+  const before = i >= 0 ? items[i] : null;
+  const after = i + 1 < items.length ? items[i + 1] : null;
+  if (!before || !after) return before || after;
+  return t - before.ts_ms <= after.ts_ms - t ? before : after;
+}
+
+// Count of valid raw rows in (fromTs, toTs]
+export function countValidBetween(raw, fromTs, toTs) {
+  let n = 0;
+  for (let i = raw.length - 1; i >= 0 && raw[i].ts_ms > fromTs; i--) {
+    if (raw[i].valid && raw[i].ts_ms <= toTs) n++;
+  }
+  return n;
+}
@@ -0,0 +1,166 @@
+// heatmap.js
+// - Gaussian-kernel gaze density for one question, drawn on a canvas
+// - Page layout is rebuilt from the bboxes recorded with each sample (no live DOM needed),
+//   so the same code renders the current session and CSVs loaded from earlier sessions
+// - Coordinates are page space (viewport y + scroll_y) so scrolled samples line up
+
+function num(v) {
+  if (v === "" || v == null) return NaN;
+  return Number(v);
+}
+
+function isGazeRow(r) {
+  return (!r.event_type || r.event_type === "gaze") && isFinite(num(r.gaze_x_px)) && isFinite(num(r.gaze_y_px));
+}
+
+export function listQuestionIds(rows) {
+  const ids = [];
+  const seen = new Set();
+  for (const r of rows) {
+    if (!isGazeRow(r) || !r.question_id || seen.has(r.question_id)) continue;
+    seen.add(r.question_id);
+    ids.push(r.question_id);
+  }
+  return ids;
+}
+
+export function gazePointsForQuestion(rows, questionId) {
+  return rows
+    .filter((r) => isGazeRow(r) && r.question_id === questionId)
+    .map((r) => ({ x: num(r.gaze_x_px), y: num(r.gaze_y_px) + (num(r.scroll_y) || 0) }));
+}
+
+// Latest recorded bbox per content_id while this question was on screen
+export function layoutForQuestion(rows, questionId) {
+  const boxes = new Map();
+  for (const r of rows) {
+    if (!isGazeRow(r) || r.question_id !== questionId || !r.content_id) continue;
+    const x = num(r.bbox_x);
+    const y = num(r.bbox_y);
+    const w = num(r.bbox_w);
+    const h = num(r.bbox_h);
+    if (![x, y, w, h].every(isFinite)) continue;
+    boxes.set(r.content_id, {
+      content_id: r.content_id,
+      content_type: r.content_type || "",
+      x,
+      y: y + (num(r.scroll_y) || 0),
+      w,
+      h,
+    });
+  }
+  return Array.from(boxes.values());
+}
+
+// Viewport size is not stored per row; recover it from px / norm pairs
+export function estimateCanvasSize(rows, points, layout) {
+  const ws = [];
+  const hs = [];
+  for (const r of rows) {
+    if (!isGazeRow(r)) continue;
+    const xn = num(r.gaze_x_norm);
+    const yn = num(r.gaze_y_norm);
+    if (xn > 0.05) ws.push(num(r.gaze_x_px) / xn);
+    if (yn > 0.05) hs.push(num(r.gaze_y_px) / yn);
+    if (ws.length > 50 && hs.length > 50) break;
+  }
+  const median = (a) => (a.length ? a.sort((p, q) => p - q)[Math.floor(a.length / 2)] : 0);
+  let width = median(ws) || 1280;
+  let height = median(hs) || 800;
+  for (const b of layout) {
+    width = Math.max(width, b.x + b.w);
+    height = Math.max(height, b.y + b.h);
+  }
+  for (const p of points) height = Math.max(height, p.y);
+  return { width: Math.round(width), height: Math.round(height) };
+}
+
+export function computeDensity(points, width, height, sigma, cell = 4) {
+  const gw = Math.max(1, Math.ceil(width / cell));
+  const gh = Math.max(1, Math.ceil(height / cell));
+  const grid = new Float32Array(gw * gh);
+  const s = Math.max(1, sigma / cell);
+  const radius = Math.ceil(3 * s);
+  const twoSigmaSq = 2 * s * s;
+
+  for (const p of points) {
+    const cx = p.x / cell;
+    const cy = p.y / cell;
+    const x0 = Math.max(0, Math.floor(cx - radius));
+    const x1 = Math.min(gw - 1, Math.ceil(cx + radius));
+    const y0 = Math.max(0, Math.floor(cy - radius));
+    const y1 = Math.min(gh - 1, Math.ceil(cy + radius));
+    for (let gy = y0; gy <= y1; gy++) {
+      for (let gx = x0; gx <= x1; gx++) {
+        const dx = gx - cx;
+        const dy = gy - cy;
+        grid[gy * gw + gx] += Math.exp(-(dx * dx + dy * dy) / twoSigmaSq);
+      }
+    }
+  }
+
+  let max = 0;
+  for (let i = 0; i < grid.length; i++) if (grid[i] > max) max = grid[i];
+  return { grid, gw, gh, max, cell };
+}
+
+// blue -> cyan -> green -> yellow -> red, transparent at zero density
+function colorFor(t) {
+  const stops = [
+    [0, 0, 255],
+    [0, 255, 255],
+    [0, 255, 0],
+    [255, 255, 0],
+    [255, 0, 0],
+  ];
+  const pos = Math.min(0.9999, t) * (stops.length - 1);
+  const i = Math.floor(pos);
+  const f = pos - i;
+  const a = stops[i];
+  const b = stops[i + 1];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f, Math.min(1, t * 1.5) * 255];
+}
+
+export function renderHeatmap(canvas, { layout, points, width, height, sigma, opacity }) {
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  ctx.fillStyle = "#0b0b0b";
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.font = "12px system-ui";
+  for (const b of layout) {
+    ctx.fillStyle = "rgba(255,255,255,0.06)";
+    ctx.fillRect(b.x, b.y, b.w, b.h);
+    ctx.strokeStyle = "rgba(255,255,255,0.35)";
+    ctx.strokeRect(b.x + 0.5, b.y + 0.5, b.w - 1, b.h - 1);
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillText(b.content_id, b.x + 4, b.y + 14);
+  }
+
+  if (!points.length) return;
+
+  const { grid, gw, gh, max, cell } = computeDensity(points, width, height, sigma);
+  const off = document.createElement("canvas");
+  off.width = gw;
+  off.height = gh;
+  const octx = off.getContext("2d");
+  const img = octx.createImageData(gw, gh);
+  for (let i = 0; i < grid.length; i++) {
+    const t = max > 0 ? grid[i] / max : 0;
+    if (t < 0.02) continue;
+    const [r, g, bl, a] = colorFor(t);
+    img.data[i * 4] = r;
+    img.data[i * 4 + 1] = g;
+    img.data[i * 4 + 2] = bl;
+    img.data[i * 4 + 3] = a;
+  }
+  octx.putImageData(img, 0, 0);
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(off, 0, 0, gw * cell, gh * cell);
+  ctx.restore();
+}
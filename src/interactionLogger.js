@@ -0,0 +1,104 @@
+// interactionLogger.js
+// - Window-level listeners for what the participant does besides looking: clicks (with the
+//   target's data-content-id), throttled mouse moves and scrolls, key presses, resize,
+//   focus / blur and visibilitychange
+// - Keys are reduced to a class (letter, digit, enter, ...) so typed text is never captured
+// - Each event is handed to onEvent(fields, eventTimeStamp); timestamps share the
+//   performance.now() origin, so the recorder can put them on its ts_ms clock
+
+export function keyClass(e) {
+  const k = e.key || "";
+  if (["Shift", "Control", "Alt", "Meta", "CapsLock", "AltGraph"].includes(k)) return "modifier";
+  if (k.startsWith("Arrow")) return "arrow";
+  if (k === " " || k === "Spacebar") return "space";
+  if (k === "Enter") return "enter";
+  if (k === "Backspace" || k === "Delete") return "delete";
+  if (k === "Tab") return "tab";
+  if (k === "Escape") return "escape";
+  if (/^F\d{1,2}$/.test(k)) return "function";
+  if (k.length === 1) {
+    if (/\p{L}/u.test(k)) return "letter";
+    if (/\p{N}/u.test(k)) return "digit";
+    return "punctuation";
+  }
+  return "other";
+}
+
+function contentTarget(el) {
+  let cur = el instanceof Element ? el : null;
+  for (let i = 0; i < 10 && cur; i++) {
+    if (cur instanceof HTMLElement && cur.dataset?.contentId) return cur;
+    cur = cur.parentElement;
+  }
+  return null;
+}
+
+function targetFields(el) {
+  const content = contentTarget(el);
+  return {
+    content_id: content?.dataset.contentId || "",
+    content_type: content?.dataset.contentType || "",
+    target_tag: el instanceof Element ? el.tagName.toLowerCase() : "",
+  };
+}
+
+export default function createInteractionLogger({ onEvent, mouseMoveIntervalMs = 100, scrollIntervalMs = 100, resizeIntervalMs = 200 }) {
+  const lastLogged = {};
+  // Leading-edge throttle per event type
+  const throttled = (type, intervalMs, ts) => {
+    if (lastLogged[type] != null && ts - lastLogged[type] < intervalMs) return true;
+    lastLogged[type] = ts;
+    return false;
+  };
+
+  const emit = (e, fields) => onEvent(fields, e?.timeStamp ?? performance.now());
+
+  const handlers = {
+    click: (e) =>
+      emit(e, {
+        event_type: "click",
+        x_px: Math.round(e.clientX),
+        y_px: Math.round(e.clientY),
+        button: e.button,
+        ...targetFields(e.target),
+      }),
+    mousemove: (e) => {
+      if (throttled("mousemove", mouseMoveIntervalMs, e.timeStamp)) return;
+      emit(e, { event_type: "mousemove", x_px: Math.round(e.clientX), y_px: Math.round(e.clientY) });
+    },
+    keydown: (e) =>
+      emit(e, {
+        event_type: "keydown",
+        key_class: keyClass(e),
+        key_repeat: e.repeat ? 1 : 0,
+        ...targetFields(e.target),
+      }),
+    scroll: (e) => {
+      if (throttled("scroll", scrollIntervalMs, e.timeStamp)) return;
+      emit(e, { event_type: "scroll", ...targetFields(e.target === document ? null : e.target) });
+    },
+    resize: (e) => {
+      if (throttled("resize", resizeIntervalMs, e.timeStamp)) return;
+      emit(e, { event_type: "resize" });
+    },
+    focus: (e) => {
+      if (e.target === window) emit(e, { event_type: "focus" });
+    },
+    blur: (e) => {
+      if (e.target === window) emit(e, { event_type: "blur" });
+    },
+  };
+  const onVisibility = (e) => emit(e, { event_type: "visibilitychange" });
+
+  // Capture phase so scrolls inside elements and clicks stopped by components are still seen
+  return {
+    start() {
+      Object.entries(handlers).forEach(([type, fn]) => window.addEventListener(type, fn, { capture: true, passive: true }));
+      document.addEventListener("visibilitychange", onVisibility);
+    },
+    stop() {
+      Object.entries(handlers).forEach(([type, fn]) => window.removeEventListener(type, fn, { capture: true }));
+      document.removeEventListener("visibilitychange", onVisibility);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+// qualityMonitor.js
+// - Rolling data-quality metrics over the raw gaze stream (rows from GazeRecorder's raw capture):
+//     valid_ratio           valid predictions / all provider callbacks in the window
+//     offscreen_ratio       valid predictions outside the viewport (clamped in the sample table)
+//     jitter_px             RMS distance between consecutive valid predictions
+//     prediction_rate_hz    valid predictions per second
+//     since_last_ms         time since the newest valid prediction
+// - assessQuality() turns them into a level: "good", "warn" (researcher indicator only)
+//   or "lost" (participant is asked to look at the screen)
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  minValidRatio: 0.6,
+  maxOffscreenRatio: 0.3,
+  maxJitterPx: 80,
+  maxSinceLastMs: 1000,
+};
+
+export function computeQualityMetrics(raw, nowTs, windowMs) {
+  const from = nowTs - windowMs;
+  let total = 0;
+  let valid = 0;
+  let offscreen = 0;
+  let sumSq = 0;
+  let steps = 0;
+  let next = null;
+  let lastValidTs = null;
+
+  for (let i = raw.length - 1; i >= 0; i--) {
+    const r = raw[i];
+    if (r.valid && lastValidTs == null) lastValidTs = r.ts_ms;
+    if (r.ts_ms <= from) {
+      if (lastValidTs != null) break;
+      continue;
+    }
+    total++;
+    if (!r.valid) continue;
+    valid++;
+    if (r.on_screen === 0) offscreen++;
+    if (next) {
+      sumSq += (next.gaze_x_px - r.gaze_x_px) ** 2 + (next.gaze_y_px - r.gaze_y_px) ** 2;
+      steps++;
+    }
+    next = r;
+  }
+
+  return {
+    window_ms: windowMs,
+    callback_count: total,
+    valid_count: valid,
+    valid_ratio: total ? valid / total : 0,
+    offscreen_ratio: valid ? offscreen / valid : 0,
+    jitter_px: steps ? Math.sqrt(sumSq / steps) : null,
+    prediction_rate_hz: (valid * 1000) / windowMs,
+    since_last_ms: lastValidTs != null ? Math.max(0, nowTs - lastValidTs) : null,
+  };
+}
+
+export function assessQuality(m, thresholds = {}) {
+  const t = { ...DEFAULT_QUALITY_THRESHOLDS, ...thresholds };
+  const lost = [];
+  const warn = [];
+  if (m.since_last_ms == null || m.since_last_ms > t.maxSinceLastMs) lost.push("no_prediction");
+  else if (m.valid_ratio < t.minValidRatio) lost.push("low_valid_ratio");
+  if (m.valid_count && m.offscreen_ratio > t.maxOffscreenRatio) lost.push("off_screen");
+  if (m.jitter_px != null && m.jitter_px > t.maxJitterPx) warn.push("high_jitter");
+  return {
+    level: lost.length ? "lost" : warn.length ? "warn" : "good",
+    issues: [...lost, ...warn],
+  };
+}
@@ -0,0 +1,329 @@
+// questionBank.js
+// - Versioned question bank format (see questionBank.schema.json) and its validating loader
+// - Legacy files (a bare array of questions) are migrated to the current version with warnings
+// - Errors carry a JSON path such as questions[3].options[1] so authors can find the problem
+
+export const QUESTION_BANK_VERSION = 1;
+
+export const QUESTION_TYPES = [
+  "mcq",
+  "text",
+  "likert",
+  "multi-select",
+  "numeric",
+  "slider",
+  "ranking",
+  "image",
+  "video",
+];
+
+// audioCapture: record a spoken answer automatically, starting at question onset or when
+// the response box / options are revealed; the segment stops on Next / Back / Submit
+export const AUDIO_CAPTURE_MODES = ["onset", "reveal"];
+
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Older sessions tagged gaze rows and hand-started audio segments with the prompt's content id
+// ("question_q1"); question events and answers always used the bare id ("q1")
+export function bareQuestionId(id) {
+  return String(id ?? "").replace(/^question_/, "");
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+function checkStringList(v, path, errors, { min = 1 } = {}) {
+  if (!Array.isArray(v)) {
+    errors.push({ path, message: "must be an array of strings" });
+    return;
+  }
+  if (v.length < min) errors.push({ path, message: `must have at least ${min} entries` });
+  v.forEach((s, i) => {
+    if (!isNonEmptyString(s)) errors.push({ path: `${path}[${i}]`, message: "must be a non-empty string" });
+  });
+}
+
+function checkNumber(q, key, path, errors, { required = false, min } = {}) {
+  if (q[key] == null) {
+    if (required) errors.push({ path: `${path}.${key}`, message: "is required" });
+    return;
+  }
+  if (!isNumber(q[key])) errors.push({ path: `${path}.${key}`, message: "must be a number" });
+  else if (min != null && q[key] < min) errors.push({ path: `${path}.${key}`, message: `must be >= ${min}` });
+}
+
+function checkRange(q, path, errors) {
+  checkNumber(q, "min", path, errors, { required: true });
+  checkNumber(q, "max", path, errors, { required: true });
+  checkNumber(q, "step", path, errors);
+  if (isNumber(q.min) && isNumber(q.max) && q.min >= q.max) {
+    errors.push({ path: `${path}.max`, message: "must be greater than min" });
+  }
+  if (q.step != null && isNumber(q.step) && q.step <= 0) {
+    errors.push({ path: `${path}.step`, message: "must be > 0" });
+  }
+}
+
+// Likert anchors: one label per point, or { min, max, mid? } for the end (and middle) points
+function checkAnchors(q, path, errors) {
+  const a = q.anchors;
+  if (a == null) return;
+  if (Array.isArray(a)) {
+    checkStringList(a, `${path}.anchors`, errors);
+    const points = q.points ?? 5;
+    if (q.type === "likert" && a.length !== points) {
+      errors.push({ path: `${path}.anchors`, message: `has ${a.length} labels but the scale has ${points} points` });
+    }
+    if (q.type === "slider") errors.push({ path: `${path}.anchors`, message: "must be an object { min, max }" });
+    return;
+  }
+  if (!isObject(a)) {
+    errors.push({ path: `${path}.anchors`, message: "must be an array of labels or an object { min, max, mid? }" });
+    return;
+  }
+  ["min", "max", "mid"].forEach((k) => {
+    if (a[k] != null && typeof a[k] !== "string") errors.push({ path: `${path}.anchors.${k}`, message: "must be a string" });
+  });
+}
+
+const inUnit = (v) => isNumber(v) && v >= 0 && v <= 1;
+
+// AOIs use stimulus-relative coordinates (0..1), see stimulus.js
+function checkAois(aois, path, errors) {
+  if (aois == null) return;
+  if (!Array.isArray(aois)) {
+    errors.push({ path, message: "must be an array" });
+    return;
+  }
+  const names = new Set();
+  aois.forEach((aoi, i) => {
+    const p = `${path}[${i}]`;
+    if (!isObject(aoi)) {
+      errors.push({ path: p, message: "must be an object { name, rect } or { name, polygon }" });
+      return;
+    }
+    if (!isNonEmptyString(aoi.name)) errors.push({ path: `${p}.name`, message: "is required" });
+    else if (names.has(aoi.name)) errors.push({ path: `${p}.name`, message: `duplicates AOI "${aoi.name}"` });
+    else names.add(aoi.name);
+
+    if ((aoi.rect == null) === (aoi.polygon == null)) {
+      errors.push({ path: p, message: "needs exactly one of rect or polygon" });
+    } else if (aoi.rect != null) {
+      const r = aoi.rect;
+      if (!Array.isArray(r) || r.length !== 4 || !r.every(inUnit)) {
+        errors.push({ path: `${p}.rect`, message: "must be [x, y, w, h] with values from 0 to 1" });
+      } else if (r[2] <= 0 || r[3] <= 0 || r[0] + r[2] > 1 + 1e-9 || r[1] + r[3] > 1 + 1e-9) {
+        errors.push({ path: `${p}.rect`, message: "must have a positive size and lie inside the stimulus" });
+      }
+    } else if (!Array.isArray(aoi.polygon) || aoi.polygon.length < 3) {
+      errors.push({ path: `${p}.polygon`, message: "must have at least 3 [x, y] points" });
+    } else {
+      aoi.polygon.forEach((pt, k) => {
+        if (!Array.isArray(pt) || pt.length !== 2 || !pt.every(inUnit)) {
+          errors.push({ path: `${p}.polygon[${k}]`, message: "must be [x, y] with values from 0 to 1" });
+        }
+      });
+    }
+  });
+}
+
+function checkAudioCapture(v, path, errors) {
+  if (v == null || typeof v === "boolean" || AUDIO_CAPTURE_MODES.includes(v)) return;
+  errors.push({ path, message: `must be true, false or one of ${AUDIO_CAPTURE_MODES.join(", ")}` });
+}
+
+function validateQuestion(q, path, errors) {
+  if (!isObject(q)) {
+    errors.push({ path, message: "must be an object" });
+    return;
+  }
+  if (!isNonEmptyString(q.id)) errors.push({ path: `${path}.id`, message: "is required" });
+  else if (!ID_PATTERN.test(q.id)) {
+    errors.push({ path: `${path}.id`, message: "may only contain letters, digits, _ and - (it is used in content ids)" });
+  }
+  if (!isNonEmptyString(q.prompt)) errors.push({ path: `${path}.prompt`, message: "is required" });
+  if (!QUESTION_TYPES.includes(q.type)) {
+    errors.push({ path: `${path}.type`, message: `must be one of ${QUESTION_TYPES.join(", ")} (got ${JSON.stringify(q.type)})` });
+    return;
+  }
+  checkNumber(q, "optionDelayMs", path, errors, { min: 0 });
+  checkAudioCapture(q.audioCapture, `${path}.audioCapture`, errors);
+
+  switch (q.type) {
+    case "mcq":
+      checkStringList(q.options, `${path}.options`, errors, { min: 2 });
+      if (q.showOptions != null && typeof q.showOptions !== "boolean") {
+        errors.push({ path: `${path}.showOptions`, message: "must be true or false" });
+      }
+      break;
+    case "text":
+      if (q.placeholder != null && typeof q.placeholder !== "string") {
+        errors.push({ path: `${path}.placeholder`, message: "must be a string" });
+      }
+      break;
+    case "likert":
+      checkNumber(q, "points", path, errors, { min: 2 });
+      if (isNumber(q.points) && (!Number.isInteger(q.points) || q.points > 11)) {
+        errors.push({ path: `${path}.points`, message: "must be an integer from 2 to 11" });
+      }
+      checkNumber(q, "startAt", path, errors);
+      checkAnchors(q, path, errors);
+      break;
+    case "multi-select": {
+      checkStringList(q.options, `${path}.options`, errors, { min: 2 });
+      checkNumber(q, "minSelections", path, errors, { min: 0 });
+      checkNumber(q, "maxSelections", path, errors, { min: 1 });
+      const count = Array.isArray(q.options) ? q.options.length : 0;
+      if (isNumber(q.maxSelections) && q.maxSelections > count) {
+        errors.push({ path: `${path}.maxSelections`, message: `must be <= the number of options (${count})` });
+      }
+      if (isNumber(q.minSelections) && isNumber(q.maxSelections) && q.minSelections > q.maxSelections) {
+        errors.push({ path: `${path}.minSelections`, message: "must be <= maxSelections" });
+      }
+      break;
+    }
+    case "numeric":
+      checkNumber(q, "min", path, errors);
+      checkNumber(q, "max", path, errors);
+      if (isNumber(q.min) && isNumber(q.max) && q.min > q.max) {
+        errors.push({ path: `${path}.max`, message: "must be >= min" });
+      }
+      if (q.integer != null && typeof q.integer !== "boolean") {
+        errors.push({ path: `${path}.integer`, message: "must be true or false" });
+      }
+      if (q.unit != null && typeof q.unit !== "string") errors.push({ path: `${path}.unit`, message: "must be a string" });
+      break;
+    case "slider":
+      checkRange(q, path, errors);
+      checkNumber(q, "initial", path, errors);
+      if (isNumber(q.initial) && isNumber(q.min) && isNumber(q.max) && (q.initial < q.min || q.initial > q.max)) {
+        errors.push({ path: `${path}.initial`, message: "must be within min..max" });
+      }
+      checkAnchors(q, path, errors);
+      break;
+    case "ranking":
+      checkStringList(q.options, `${path}.options`, errors, { min: 2 });
+      break;
+    case "image":
+    case "video":
+      if (!isNonEmptyString(q.src)) errors.push({ path: `${path}.src`, message: "is required (a path under public/)" });
+      if (q.options != null) checkStringList(q.options, `${path}.options`, errors, { min: 2 });
+      checkNumber(q, "maxWidth", path, errors, { min: 1 });
+      checkAois(q.aois, `${path}.aois`, errors);
+      ["autoplay", "loop", "muted", "controls"].forEach((k) => {
+        if (q[k] != null && (q.type !== "video" || typeof q[k] !== "boolean")) {
+          errors.push({ path: `${path}.${k}`, message: q.type === "video" ? "must be true or false" : "only applies to video" });
+        }
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+export function validateQuestionBank(bank) {
+  const errors = [];
+  if (!isObject(bank)) return [{ path: "", message: "question bank must be a JSON object" }];
+  if (bank.schemaVersion !== QUESTION_BANK_VERSION) {
+    errors.push({
+      path: "schemaVersion",
+      message: `unsupported version ${JSON.stringify(bank.schemaVersion)} (expected ${QUESTION_BANK_VERSION})`,
+    });
+  }
+  if (bank.title != null && typeof bank.title !== "string") errors.push({ path: "title", message: "must be a string" });
+  if (bank.defaults != null) {
+    if (!isObject(bank.defaults)) errors.push({ path: "defaults", message: "must be an object" });
+    else {
+      checkNumber(bank.defaults, "optionDelayMs", "defaults", errors, { min: 0 });
+      checkAudioCapture(bank.defaults.audioCapture, "defaults.audioCapture", errors);
+    }
+  }
+  if (!Array.isArray(bank.questions)) {
+    errors.push({ path: "questions", message: "must be an array" });
+    return errors;
+  }
+  if (!bank.questions.length) errors.push({ path: "questions", message: "must contain at least one question" });
+
+  const seen = new Map();
+  bank.questions.forEach((q, i) => {
+    validateQuestion(q, `questions[${i}]`, errors);
+    if (isObject(q) && isNonEmptyString(q.id)) {
+      if (seen.has(q.id)) {
+        errors.push({ path: `questions[${i}].id`, message: `duplicates questions[${seen.get(q.id)}].id "${q.id}"` });
+      } else {
+        seen.set(q.id, i);
+      }
+    }
+  });
+  return errors;
+}
+
+// Version 0: a bare array of { id, type: "mcq", prompt, options, responseType?, showOptions? }.
+// "mcq" items with responseType "text" only carried placeholder options, so they become "text".
+function migrateLegacy(list, warnings) {
+  warnings.push({ path: "", message: "legacy question array; wrap it as { schemaVersion: 1, questions: [...] }" });
+  return {
+    schemaVersion: QUESTION_BANK_VERSION,
+    questions: list.map((q, i) => {
+      if (!isObject(q)) return q;
+      const { responseType, ...rest } = q;
+      if (responseType === "text") {
+        if (Array.isArray(q.options)) {
+          warnings.push({ path: `questions[${i}].options`, message: "ignored: text questions have no options" });
+        }
+        const { options, showOptions, ...text } = rest;
+        return { ...text, type: "text" };
+      }
+      return { ...rest, type: rest.type ?? "mcq" };
+    }),
+  };
+}
+
+// Accepts a parsed bank (object or legacy array). Returns the normalized bank, its questions
+// with defaults applied, and { path, message } errors / warnings; questions is empty on error.
+export function loadQuestionBank(data) {
+  const warnings = [];
+  const bank = Array.isArray(data) ? migrateLegacy(data, warnings) : data;
+  const errors = validateQuestionBank(bank);
+  if (errors.length) return { bank: null, questions: [], errors, warnings };
+
+  const defaults = bank.defaults || {};
+  const questions = bank.questions.map((q) => ({ ...defaults, ...q }));
+  return { bank, questions, errors, warnings };
+}
+
+// Parses JSON text first so syntax errors are reported with their position as well
+export function parseQuestionBank(text) {
+  try {
+    return loadQuestionBank(JSON.parse(text));
+  } catch (e) {
+    return { bank: null, questions: [], errors: [{ path: "", message: `invalid JSON: ${e.message}` }], warnings: [] };
+  }
+}
+
+// "" when the question records no audio; true is shorthand for "onset"
+export function audioCaptureMode(q) {
+  if (q?.audioCapture === true) return "onset";
+  return AUDIO_CAPTURE_MODES.includes(q?.audioCapture) ? q.audioCapture : "";
+}
+
+export function formatBankIssue({ path, message }) {
+  return path ? `${path} ${message}` : message;
+}
+
+// Likert scale values and their labels (anchors array, or min/mid/max labels at the ends and middle)
+export function likertPoints(q) {
+  const points = q.points ?? 5;
+  const startAt = q.startAt ?? 1;
+  return Array.from({ length: points }, (_, i) => {
+    let label = "";
+    if (Array.isArray(q.anchors)) label = q.anchors[i];
+    else if (q.anchors) {
+      if (i === 0) label = q.anchors.min ?? "";
+      else if (i === points - 1) label = q.anchors.max ?? "";
+      else if (points % 2 === 1 && i === (points - 1) / 2) label = q.anchors.mid ?? "";
+    }
+    return { index: i, value: startAt + i, label };
+  });
+}
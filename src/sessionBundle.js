@@ -0,0 +1,62 @@
+// sessionBundle.js
+// - Packs every export of a session into one ZIP: CSVs, audio clips and manifest.json
+// - manifest.json lists each file with its size and SHA-256 so a collected bundle can be verified
+
+import { strToU8, zipSync } from "fflate";
+import { downloadBlob, toCsv } from "./csv";
+
+/* global __APP_VERSION__ */
+export const APP_VERSION = typeof __APP_VERSION__ !== "undefined" ? __APP_VERSION__ : "dev";
+
+export const MANIFEST_VERSION = 1;
+
+// files: [{ name, rows }] for CSVs or [{ name, data }] where data is a string, Blob or Uint8Array
+async function toBytes(file) {
+  if (file.rows) return strToU8(toCsv(file.rows));
+  if (typeof file.data === "string") return strToU8(file.data);
+  if (file.data instanceof Uint8Array) return file.data;
+  return new Uint8Array(await file.data.arrayBuffer());
+}
+
+async function sha256Hex(bytes) {
+  if (!crypto?.subtle) return "";
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function csvFile(name, rows) {
+  return rows?.length ? { name, rows } : null;
+}
+
+// Audio / video are already compressed; store them as-is and deflate only text
+function compressionLevel(name) {
+  return /\.(csv|json|txt)$/i.test(name) ? 6 : 0;
+}
+
+export async function buildSessionBundle(files, manifest) {
+  const entries = {};
+  const listed = [];
+  for (const file of files.filter(Boolean)) {
+    const bytes = await toBytes(file);
+    entries[file.name] = [bytes, { level: compressionLevel(file.name) }];
+    listed.push({ name: file.name, bytes: bytes.length, sha256: await sha256Hex(bytes) });
+  }
+
+  const fullManifest = {
+    manifest_version: MANIFEST_VERSION,
+    app_version: APP_VERSION,
+    exported_at: new Date().toISOString(),
+    ...manifest,
+    checksum_algorithm: "sha256",
+    files: listed,
+  };
+  entries["manifest.json"] = [strToU8(JSON.stringify(fullManifest, null, 2)), { level: 6 }];
+
+  return new Blob([zipSync(entries)], { type: "application/zip" });
+}
+
+export async function downloadSessionBundle(sessionId, files, manifest) {
+  const blob = await buildSessionBundle(files, { session_id: sessionId, ...manifest });
+  downloadBlob(`session_${sessionId}.zip`, blob);
+  return blob;
+}
@@ -0,0 +1,275 @@
+// sessionExport.js
+// - Row and file builders shared by the live export (GazeRecorder) and the export of a session
+//   recovered from IndexedDB (App), so both write the same files with the same columns
+// - Audio clips from either source are first normalized to one shape on the ts_ms clock:
+//     { id, sessionId, questionId, capture, startTsMs, stopTsMs, durationMs, mimeType, blob,
+//       interrupted, pauses: [{ pauseTsMs, resumeTsMs }], input }
+//   startTsMs / stopTsMs are null when unknown (stopTsMs: a segment cut off by a crash)
+
+import { csvFile } from "./sessionBundle";
+import { videoExtension } from "./webcamRecorder";
+import { audioExtension, blobToWav } from "./audioWav";
+import { analyzeSpeech, findQuestionOnsetTs, markerSpeechRows, speechCsvRows } from "./voiceActivity";
+import { bareQuestionId } from "./questionBank";
+import { detectEvents } from "./eventDetection";
+import { computeAoiMetrics } from "./aoiMetrics";
+
+// Gaze rows are written resampleDelayMs behind the event rows around them; the export is in
+// ts_ms order (stable, so rows with the same ts_ms keep their write order)
+export function sortedByTs(rows = []) {
+  return rows.slice().sort((a, b) => a.ts_ms - b.ts_ms);
+}
+
+// Append-only row tables, in the order they appear in the bundle
+export function tableFiles(sessionId, tables) {
+  return [
+    csvFile(`gaze_session_${sessionId}.csv`, sortedByTs(tables.samples)),
+    csvFile(`gaze_raw_${sessionId}.csv`, tables.raw_gaze),
+    csvFile(`events_${sessionId}.csv`, tables.events),
+    csvFile(`quality_${sessionId}.csv`, tables.quality),
+    csvFile(`audio_markers_${sessionId}.csv`, tables.audio_markers),
+    csvFile(`video_frames_${sessionId}.csv`, tables.video_frames),
+    csvFile(`blinks_${sessionId}.csv`, tables.blinks),
+  ];
+}
+
+// Fixations / saccades (eventDetection options) and per-AOI metrics from the gaze_session rows
+export function analyzeSession(rows, eventDetection) {
+  const { fixations, saccades, options } = detectEvents(rows, eventDetection);
+  const aoi = computeAoiMetrics(rows, fixations, options);
+  return { fixations, saccades, aoi, options };
+}
+
+export function analysisFiles(sessionId, { fixations, saccades, aoi, options }) {
+  const base = { session_id: sessionId, algorithm: options.algorithm };
+  return [
+    csvFile(`fixations_${sessionId}.csv`, fixations.map((f, i) => ({ ...base, fixation_index: i, ...f }))),
+    csvFile(`saccades_${sessionId}.csv`, saccades.map((sc, i) => ({ ...base, saccade_index: i, ...sc }))),
+    csvFile(`aoi_metrics_${sessionId}.csv`, aoi.map((r) => ({ ...base, ...r }))),
+  ];
+}
+
+// blink from the face tracker (performance.now() times); baseTs is the recording start
+export function blinkRow(sessionId, index, blink, baseTs) {
+  return {
+    session_id: sessionId,
+    blink_index: index,
+    onset_ts_ms: Math.round(blink.onset - baseTs),
+    offset_ts_ms: Math.round(blink.offset - baseTs),
+    duration_ms: Math.round(blink.duration),
+  };
+}
+
+// info: { settings, points } of the initial calibration; report: the validation report
+export function calibrationReportRows(sessionId, { info, report } = {}) {
+  if (!info && !report) return [];
+  const pointRows = info
+    ? info.settings.calib_point_order.split(";").map((gridIndex, i) => ({
+        session_id: sessionId,
+        row_type: "calibration_point",
+        point_index: i,
+        grid_index: Number(gridIndex),
+        target_x_px: info.points[i][0],
+        target_y_px: info.points[i][1],
+      }))
+    : [];
+  const validationRows = report
+    ? [
+        ...report.points.map((p, i) => ({
+          session_id: sessionId,
+          row_type: "validation_point",
+          point_index: i,
+          ...p,
+          max_error_px: report.max_error_px,
+          passed: p.accuracy_px != null && p.accuracy_px <= report.max_error_px ? 1 : 0,
+        })),
+        {
+          session_id: sessionId,
+          row_type: "validation_overall",
+          point_index: "all",
+          sample_count: report.points.reduce((n, p) => n + p.sample_count, 0),
+          accuracy_px: report.accuracy_px,
+          accuracy_norm: report.accuracy_norm,
+          precision_rms_px: report.precision_rms_px,
+          precision_rms_norm: report.precision_rms_norm,
+          max_error_px: report.max_error_px,
+          passed: report.passed ? 1 : 0,
+        },
+      ].map((r) => ({ ...r, viewport_w: report.viewport_w, viewport_h: report.viewport_h }))
+    : [];
+  return [...pointRows, ...validationRows].map((r) => ({ ...r, ...(info?.settings || {}) }));
+}
+
+// rec from useAudioRecorder; times are performance.now(), baseTs is the recording start
+export function clipFromRecording(rec, baseTs, sessionId) {
+  const at = (ts) => (ts != null ? ts - baseTs : null);
+  return {
+    id: rec.id,
+    sessionId: rec.meta?.session_id || sessionId,
+    questionId: bareQuestionId(rec.meta?.question_id),
+    capture: rec.meta?.capture || "manual",
+    startTsMs: at(rec.startTs),
+    stopTsMs: at(rec.stopTs),
+    durationMs: rec.durationMs ?? null,
+    mimeType: rec.mimeType || "",
+    blob: rec.blob,
+    interrupted: false,
+    pauses: (rec.pauses || []).map((p) => ({ pauseTsMs: at(p.pauseTs), resumeTsMs: at(p.resumeTs) })),
+    input: rec.input ?? null,
+  };
+}
+
+// seg from sessionStore.loadSession; times are epoch ms, baseEpoch is the recording start
+export function clipFromStoredSegment(seg, baseEpoch, sessionId) {
+  const at = (epoch) => (epoch != null ? epoch - baseEpoch : null);
+  return {
+    id: seg.id,
+    sessionId: seg.meta?.session_id || sessionId,
+    questionId: bareQuestionId(seg.meta?.question_id),
+    capture: seg.meta?.capture || "manual",
+    startTsMs: at(seg.startEpoch),
+    stopTsMs: at(seg.stopEpoch),
+    durationMs: seg.durationMs ?? null,
+    mimeType: seg.mimeType || "",
+    blob: seg.blob,
+    interrupted: !!seg.interrupted,
+    pauses: (seg.pauses || []).map((p) => ({ pauseTsMs: at(p.pauseEpoch), resumeTsMs: at(p.resumeEpoch) })),
+    input: seg.input ?? null,
+  };
+}
+
+export function audioClipFileName(clip) {
+  return `audio_segment_${clip.id}.${audioExtension(clip.mimeType)}`;
+}
+
+export function audioWavFileName(clip) {
+  return `audio_segment_${clip.id}.wav`;
+}
+
+const roundOrBlank = (n) => (n == null ? "" : Math.round(n));
+const boolField = (v) => (v == null ? "" : v ? 1 : 0);
+
+// extraFields: clip id -> columns added at export (speech summary, WAV file)
+export function audioSegmentRows(clips, extraFields = new Map()) {
+  return clips.map((clip) => ({
+    session_id: clip.sessionId,
+    audio_segment_id: clip.id,
+    question_id: clip.questionId,
+    capture: clip.capture,
+    start_ts_ms: roundOrBlank(clip.startTsMs),
+    stop_ts_ms: roundOrBlank(clip.stopTsMs),
+    duration_ms: roundOrBlank(clip.durationMs),
+    mime_type: clip.mimeType,
+    interrupted: clip.interrupted ? 1 : 0,
+    filename: audioClipFileName(clip),
+    pause_count: clip.pauses.length,
+    paused_ms: Math.round(clip.pauses.reduce((sum, p) => sum + (p.resumeTsMs - p.pauseTsMs), 0)),
+    // "start-stop" pairs on the ts_ms clock, separated by ";"
+    pause_intervals: clip.pauses.map((p) => `${Math.round(p.pauseTsMs)}-${Math.round(p.resumeTsMs)}`).join(";"),
+    input_device: clip.input?.label || "",
+    echo_cancellation: boolField(clip.input?.echoCancellation),
+    noise_suppression: boolField(clip.input?.noiseSuppression),
+    ...extraFields.get(clip.id),
+  }));
+}
+
+// Failures become { error } so one bad clip (e.g. cut off by a crash) only blanks its own columns
+export function analyzeClipSpeech(clip, vadOptions) {
+  return analyzeSpeech(clip.blob, vadOptions).catch((e) => ({ error: String(e?.message || e) }));
+}
+
+export function clipToWav(clip, sampleRate) {
+  return blobToWav(clip.blob, { sampleRate }).then(
+    (blob) => ({ blob }),
+    (e) => ({ error: String(e?.message || e) })
+  );
+}
+
+// analyze(clip) -> analyzeSpeech result (or { error }); samples are the gaze_session rows
+export async function speechExport(clips, samples, analyze) {
+  const summaries = new Map();
+  const segmentRows = [];
+  const envelopeRows = [];
+  for (const clip of clips) {
+    if (clip.startTsMs == null) continue;
+    const startTsMs = Math.round(clip.startTsMs);
+    const out = speechCsvRows(await analyze(clip), {
+      sessionId: clip.sessionId,
+      segmentId: clip.id,
+      questionId: clip.questionId,
+      startTsMs,
+      questionOnsetTsMs: findQuestionOnsetTs(samples, clip.questionId, startTsMs),
+      pauses: clip.pauses.map((p) => ({ start_ms: p.pauseTsMs - clip.startTsMs, end_ms: p.resumeTsMs - clip.startTsMs })),
+    });
+    summaries.set(clip.id, out.summary);
+    segmentRows.push(...out.segmentRows);
+    envelopeRows.push(...out.envelopeRows);
+  }
+  return { summaries, segmentRows, envelopeRows };
+}
+
+// The audio part of the bundle: segment log, speech CSVs, the clips and (toWav set) WAV copies.
+// toWav(clip) -> { blob } or { error }. markers (continuous mode) add per-marker speech metrics.
+export async function audioExportFiles(sessionId, clips, { samples, analyze, toWav = null, markers = [] }) {
+  const { summaries, segmentRows, envelopeRows } = await speechExport(clips, samples, analyze);
+  const markerRows = markerSpeechRows(markers, segmentRows, samples, summaries);
+  const wavFiles = [];
+  if (toWav) {
+    for (const clip of clips) {
+      const wav = await toWav(clip);
+      const name = audioWavFileName(clip);
+      if (wav.blob) wavFiles.push({ name, data: wav.blob });
+      summaries.set(clip.id, {
+        ...summaries.get(clip.id),
+        wav_filename: wav.blob ? name : "",
+        wav_error: wav.error || "",
+      });
+    }
+  }
+  return [
+    csvFile(`audio_segments_${sessionId}.csv`, audioSegmentRows(clips, summaries)),
+    csvFile(`speech_segments_${sessionId}.csv`, segmentRows),
+    csvFile(`audio_envelope_${sessionId}.csv`, envelopeRows),
+    csvFile(`speech_markers_${sessionId}.csv`, markerRows),
+    ...clips.map((clip) => ({ name: audioClipFileName(clip), data: clip.blob })),
+    ...wavFiles,
+  ];
+}
+
+export function webcamFileName(video) {
+  return `webcam_${video.id}.${videoExtension(video.mimeType)}`;
+}
+
+// One manifest entry per webcam video; times on the ts_ms clock, stopTsMs null when the video was
+// cut off (recovered from a crash)
+export function webcamManifestEntry({ id, mimeType, startTsMs, stopTsMs, durationMs, width, height, frameRate, interrupted }) {
+  return {
+    video_id: id,
+    filename: webcamFileName({ id, mimeType }),
+    mime_type: mimeType,
+    start_ts_ms: startTsMs != null ? Math.round(startTsMs) : null,
+    stop_ts_ms: stopTsMs != null ? Math.round(stopTsMs) : null,
+    duration_ms: durationMs != null ? Math.round(durationMs) : null,
+    width: width ?? null,
+    height: height ?? null,
+    frame_rate: frameRate ?? null,
+    interrupted: !!interrupted,
+  };
+}
+
+// Settings that decide what the audio files contain; stored with the session so a recovered
+// export is built (and described) the same way
+export function audioManifest({ mode, exportWav, wavSampleRate, markerCount, input }) {
+  return {
+    mode,
+    wav_sample_rate: exportWav ? wavSampleRate : null,
+    marker_count: markerCount,
+    input: input
+      ? {
+          device_id: input.deviceId || "default",
+          echo_cancellation: input.echoCancellation,
+          noise_suppression: input.noiseSuppression,
+        }
+      : null,
+  };
+}
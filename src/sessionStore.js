@@ -0,0 +1,156 @@
+// sessionStore.js
+// - Crash-safe session persistence in IndexedDB
+// - sessions: one record per session_id (status, timestamps, form data such as demographics)
+// - rows:     batches of gaze samples / event rows appended while recording
+// - audio:    MediaRecorder chunks per audio segment, plus the finished segment metadata; webcam
+//             videos are kept the same way, their metadata marked media: "webcam"
+// A session stays "active" until it has been exported, so a reload or crash can recover it.
+
+// performance.now() does not survive a reload; timestamps are stored as epoch ms and mapped back
+export const perfToEpoch = (perfTs) => Date.now() - (performance.now() - perfTs);
+export const epochToPerf = (epochMs) => performance.now() - (Date.now() - epochMs);
+
+const DB_NAME = "gaze-recorder";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("sessions", { keyPath: "id" });
+        db.createObjectStore("rows", { autoIncrement: true }).createIndex("sessionId", "sessionId");
+        db.createObjectStore("audio", { autoIncrement: true }).createIndex("sessionId", "sessionId");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStores(names, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(names, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(...names.map((n) => tx.objectStore(n)));
+  await done;
+  return result;
+}
+
+// Shallow-merges `patch` into the session record, creating it on first write
+export async function updateSession(sessionId, patch) {
+  if (!sessionId) return;
+  await withStores(["sessions"], "readwrite", async (sessions) => {
+    const now = Date.now();
+    const existing = (await promisify(sessions.get(sessionId))) || {
+      id: sessionId,
+      status: "active",
+      createdAt: now,
+      form: {},
+    };
+    const next = { ...existing, ...patch, updatedAt: now };
+    if (patch.form) next.form = { ...existing.form, ...patch.form };
+    sessions.put(next);
+  });
+}
+
+export async function appendRows(sessionId, kind, rows) {
+  if (!sessionId || !rows.length) return;
+  await withStores(["rows", "sessions"], "readwrite", async (store, sessions) => {
+    store.add({ sessionId, kind, rows, savedAt: Date.now() });
+    const s = await promisify(sessions.get(sessionId));
+    if (s) sessions.put({ ...s, rowCount: (s.rowCount || 0) + (kind === "samples" ? rows.length : 0), updatedAt: Date.now() });
+  });
+}
+
+export async function appendAudioChunk(sessionId, segmentId, seq, blob) {
+  if (!sessionId || !blob?.size) return;
+  await withStores(["audio"], "readwrite", async (store) => {
+    store.add({ sessionId, segmentId, type: "chunk", seq, blob });
+  });
+}
+
+export async function saveAudioSegment(sessionId, segment) {
+  if (!sessionId) return;
+  await withStores(["audio"], "readwrite", async (store) => {
+    store.add({ sessionId, segmentId: segment.id, type: "segment", segment });
+  });
+}
+
+// Written when the video starts and again when it stops, like audio segments
+export async function saveWebcamVideo(sessionId, video) {
+  if (!sessionId) return;
+  await withStores(["audio"], "readwrite", async (store) => {
+    store.add({ sessionId, segmentId: video.id, type: "segment", segment: { ...video, media: "webcam" } });
+  });
+}
+
+export async function markSessionExported(sessionId) {
+  await updateSession(sessionId, { status: "exported", exportedAt: Date.now() });
+}
+
+export async function listUnfinishedSessions() {
+  const all = await withStores(["sessions"], "readonly", (sessions) => promisify(sessions.getAll()));
+  return all.filter((s) => s.status === "active").sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Segment records are written at start and again at stop; the last one wins.
+// Rebuilds rows (by kind, in write order), audio segments and webcam videos (chunks joined into one Blob)
+export async function loadSession(sessionId) {
+  return withStores(["sessions", "rows", "audio"], "readonly", async (sessions, rowsStore, audioStore) => {
+    const session = await promisify(sessions.get(sessionId));
+    const batches = await promisify(rowsStore.index("sessionId").getAll(sessionId));
+    const audio = await promisify(audioStore.index("sessionId").getAll(sessionId));
+
+    const rows = {};
+    for (const b of batches) (rows[b.kind] ||= []).push(...b.rows);
+
+    const segments = new Map();
+    for (const a of audio) {
+      const seg = segments.get(a.segmentId) || { id: a.segmentId, chunks: [], meta: null };
+      if (a.type === "chunk") seg.chunks.push(a);
+      else seg.meta = a.segment;
+      segments.set(a.segmentId, seg);
+    }
+    const joined = Array.from(segments.values()).map((seg) => {
+      const chunks = seg.chunks.sort((p, q) => p.seq - q.seq).map((c) => c.blob);
+      const fallbackType = seg.meta?.media === "webcam" ? "video/webm" : "audio/webm";
+      const mimeType = seg.meta?.mimeType || chunks[0]?.type || fallbackType;
+      const meta = seg.meta || { id: seg.id };
+      return { ...meta, interrupted: meta.stopEpoch == null, mimeType, blob: new Blob(chunks, { type: mimeType }) };
+    });
+    const audioSegments = joined.filter((seg) => seg.media !== "webcam");
+    const webcamVideos = joined.filter((seg) => seg.media === "webcam");
+
+    return { session, rows, audioSegments, webcamVideos };
+  });
+}
+
+export async function deleteSession(sessionId) {
+  await withStores(["sessions", "rows", "audio"], "readwrite", async (sessions, rowsStore, audioStore) => {
+    sessions.delete(sessionId);
+    for (const store of [rowsStore, audioStore]) {
+      const keys = await promisify(store.index("sessionId").getAllKeys(sessionId));
+      keys.forEach((k) => store.delete(k));
+    }
+  });
+}
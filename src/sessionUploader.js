@@ -0,0 +1,180 @@
+// sessionUploader.js
+// - Sends session data to a collection endpoint in small chunks while recording
+// - Chunks wait in an in-memory queue while offline and are retried with exponential backoff
+// - Chunk ids are derived from session_id + content position, so a resent chunk is a no-op on the server
+//
+// Wire format (one POST per chunk to `endpoint`):
+//   headers  X-Session-Id, X-Chunk-Id, X-Chunk-Kind, Content-Type
+//   body     JSON { session_id, chunk_id, kind, ...payload } for rows / metadata,
+//            the raw Blob for audio chunks (X-Audio-Segment-Id and X-Chunk-Seq identify it)
+// Any 2xx or 409 (already stored) counts as delivered.
+
+const RETRYABLE_STATUS = new Set([408, 425, 429]);
+
+export function rowsChunkId(sessionId, from, to, kind = "samples") {
+  return `${sessionId}:${kind}:${from}-${to}`;
+}
+
+export function audioChunkId(sessionId, segmentId, seq) {
+  return `${sessionId}:audio:${segmentId}:${seq}`;
+}
+
+export default function createSessionUploader({
+  endpoint,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  maxAttempts = 8,
+  onStatus,
+} = {}) {
+  const queue = [];
+  const seen = new Set();
+  let sent = 0;
+  let failed = 0;
+  let attempt = 0;
+  let busy = false;
+  let timer = null;
+  let lastError = "";
+  let stopped = false;
+
+  function report(state) {
+    onStatus?.({ state, pending: queue.length, sent, failed, lastError });
+  }
+
+  function online() {
+    return typeof navigator === "undefined" || navigator.onLine !== false;
+  }
+
+  function schedule(delayMs) {
+    if (timer || stopped) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, delayMs);
+  }
+
+  async function send(chunk) {
+    const headers = {
+      "X-Session-Id": chunk.sessionId,
+      "X-Chunk-Id": chunk.id,
+      "X-Chunk-Kind": chunk.kind,
+    };
+    let body;
+    if (chunk.blob) {
+      headers["Content-Type"] = chunk.blob.type || "application/octet-stream";
+      headers["X-Audio-Segment-Id"] = chunk.segmentId;
+      headers["X-Chunk-Seq"] = String(chunk.seq);
+      body = chunk.blob;
+    } else {
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify({ session_id: chunk.sessionId, chunk_id: chunk.id, kind: chunk.kind, ...chunk.payload });
+    }
+    const res = await fetch(endpoint, { method: "POST", headers, body });
+    if (res.ok || res.status === 409) return;
+    const err = new Error(`HTTP ${res.status}`);
+    err.retryable = res.status >= 500 || RETRYABLE_STATUS.has(res.status);
+    throw err;
+  }
+
+  async function pump() {
+    if (busy || stopped) return;
+    if (!queue.length) {
+      report("idle");
+      return;
+    }
+    if (!online()) {
+      report("offline");
+      return;
+    }
+
+    busy = true;
+    report(attempt ? "retrying" : "uploading");
+    const chunk = queue[0];
+    try {
+      await send(chunk);
+      queue.shift();
+      sent += 1;
+      attempt = 0;
+      lastError = "";
+    } catch (e) {
+      lastError = String(e?.message || e);
+      // Network errors (fetch rejects) are retried until delivered; HTTP errors only when
+      // transient and at most maxAttempts times
+      const networkError = e?.retryable == null;
+      attempt += 1;
+      if (!networkError && (!e.retryable || attempt >= maxAttempts)) {
+        queue.shift();
+        seen.delete(chunk.id);
+        failed += 1;
+        attempt = 0;
+      }
+    } finally {
+      busy = false;
+    }
+
+    if (attempt) {
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      report("retrying");
+      schedule(delay * (0.75 + Math.random() * 0.5));
+    } else {
+      pump();
+    }
+  }
+
+  function enqueue(chunk) {
+    if (stopped || seen.has(chunk.id)) return;
+    seen.add(chunk.id);
+    queue.push(chunk);
+    if (!attempt) pump();
+    else report("retrying");
+  }
+
+  const onOnline = () => {
+    attempt = 0;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    pump();
+  };
+  const onOffline = () => report("offline");
+  window.addEventListener("online", onOnline);
+  window.addEventListener("offline", onOffline);
+  report("idle");
+
+  return {
+    endpoint,
+
+    // rows[from, to) of one of the session's row tables (samples, events, raw_gaze, quality, audio_markers, video_frames, blinks)
+    enqueueRows(sessionId, from, rows, kind = "samples") {
+      if (!rows.length) return;
+      const to = from + rows.length;
+      enqueue({ id: rowsChunkId(sessionId, from, to, kind), sessionId, kind, payload: { from, to, rows } });
+    },
+
+    enqueueAudioChunk(sessionId, segmentId, seq, blob) {
+      if (!blob?.size) return;
+      enqueue({ id: audioChunkId(sessionId, segmentId, seq), sessionId, kind: "audio", segmentId, seq, blob });
+    },
+
+    // Segment metadata is sent at start and again at stop; the stop record supersedes it
+    enqueueAudioSegment(sessionId, segment) {
+      const phase = segment.stopEpoch != null ? "stop" : "start";
+      enqueue({
+        id: `${sessionId}:audio_segment:${segment.id}:${phase}`,
+        sessionId,
+        kind: "audio_segment",
+        payload: { segment },
+      });
+    },
+
+    pendingCount() {
+      return queue.length;
+    },
+
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// stimulus.js
+// - Image / video stimulus areas of interest (AOIs) in stimulus-relative coordinates:
+//   x and y run from 0 to 1 across the rendered media box, (0, 0) is its top-left corner
+//     { name, rect: [x, y, w, h] }  or  { name, polygon: [[x, y], [x, y], [x, y], ...] }
+// - Maps a gaze point to { stimulus_id, stimulus_x, stimulus_y, stimulus_aoi, stimulus_media_time_ms }
+//   for the stimulus on screen; QuestionScreen marks it with data-stimulus-id and data-aois
+// - captureStimulus() takes the stimulus state (box, AOIs, video time) when a raw gaze sample
+//   arrives; stimulusContextAt() maps a (resampled) point against it later
+
+const EMPTY_CONTEXT = {
+  stimulus_id: "",
+  stimulus_x: "",
+  stimulus_y: "",
+  stimulus_aoi: "",
+  stimulus_media_time_ms: "",
+};
+
+function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function aoiContains(aoi, x, y) {
+  if (aoi.rect) {
+    const [rx, ry, rw, rh] = aoi.rect;
+    return x >= rx && x <= rx + rw && y >= ry && y <= ry + rh;
+  }
+  if (aoi.polygon) return pointInPolygon(x, y, aoi.polygon);
+  return false;
+}
+
+// AOIs are tested in list order, so list the more specific (smaller) areas first
+export function aoiAt(aois, x, y) {
+  return aois.find((aoi) => aoiContains(aoi, x, y))?.name ?? "";
+}
+
+// data-aois is re-parsed only when the question (and so the attribute string) changes
+let parsedAois = { json: null, aois: [] };
+function aoisOf(el) {
+  const json = el.dataset.aois || "[]";
+  if (parsedAois.json !== json) {
+    try {
+      parsedAois = { json, aois: JSON.parse(json) };
+    } catch {
+      parsedAois = { json, aois: [] };
+    }
+  }
+  return parsedAois.aois;
+}
+
+// null when no stimulus is on screen
+export function captureStimulus() {
+  const el = document.querySelector("[data-stimulus-id]");
+  if (!(el instanceof HTMLElement)) return null;
+  const r = el.getBoundingClientRect();
+  return {
+    id: el.dataset.stimulusId,
+    left: r.left,
+    top: r.top,
+    width: r.width,
+    height: r.height,
+    aois: aoisOf(el),
+    mediaTimeMs:
+      el instanceof HTMLVideoElement && Number.isFinite(el.currentTime) ? Math.round(el.currentTime * 1000) : "",
+  };
+}
+
+export function stimulusContextAt(stimulus, x, y) {
+  if (!stimulus) return EMPTY_CONTEXT;
+  const sx = stimulus.width ? (x - stimulus.left) / stimulus.width : -1;
+  const sy = stimulus.height ? (y - stimulus.top) / stimulus.height : -1;
+  const onStimulus = sx >= 0 && sx <= 1 && sy >= 0 && sy <= 1;
+
+  return {
+    stimulus_id: stimulus.id,
+    stimulus_x: onStimulus ? sx.toFixed(6) : "",
+    stimulus_y: onStimulus ? sy.toFixed(6) : "",
+    stimulus_aoi: onStimulus ? aoiAt(stimulus.aois, sx, sy) : "",
+    stimulus_media_time_ms: stimulus.mediaTimeMs,
+  };
+}
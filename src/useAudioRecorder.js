@@ -10,10 +10,37 @@ function getAudioMimeType(recorder) {
   return "audio/webm";
 }
 
-export default function useAudioRecorder() {
+// timesliceMs + onChunk stream partial data while recording (e.g. to persist it);
+// onSegment is called with each finished recording.
+// Input: deviceId ("" = default), echoCancellation and noiseSuppression are applied when the
+// stream is (re)opened; a change takes effect right away when idle, otherwise at the next segment.
+// The open stream feeds a level meter (getLevel(), RMS 0..1); inputSilent turns on when a
+// recording segment stays below silenceThreshold for silenceWarningMs.
+// pauseRecording / resumeRecording pause the active segment; the finished recording carries
+// pauses: [{ pauseTs, resumeTs }] and the input settings that were actually applied.
+// Segments never overlap: a start while another segment is starting / recording / stopping,
+// or a stop naming a segment that is not the active one, is rejected and reported to
+// onReject({ id, meta, reason, activeId }) instead of touching the active segment.
+export default function useAudioRecorder({
+  timesliceMs,
+  onChunk,
+  onSegment,
+  onReject,
+  onPause,
+  onResume,
+  deviceId = "",
+  echoCancellation = true,
+  noiseSuppression = true,
+  silenceThreshold = 0.001,
+  silenceWarningMs = 4000,
+} = {}) {
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [recordings, setRecordings] = useState([]);
   const [error, setError] = useState("");
+  const [devices, setDevices] = useState([]);
+  const [inputOpen, setInputOpen] = useState(false);
+  const [inputSilent, setInputSilent] = useState(false);
 
   const mediaRecorderRef = useRef(null);
   const streamRef = useRef(null);
@@ -21,40 +48,168 @@ export default function useAudioRecorder() {
   const pendingMetaRef = useRef(null);
   const pendingIdRef = useRef(null);
   const startTsRef = useRef(null);
+  const phaseRef = useRef("idle");
+  const stopWaitersRef = useRef([]);
+  const pausesRef = useRef([]);
+  const streamKeyRef = useRef("");
+  const meterRef = useRef(null);
+  const callbacksRef = useRef({ onChunk, onSegment, onReject, onPause, onResume });
+  callbacksRef.current = { onChunk, onSegment, onReject, onPause, onResume };
 
   const isSupported = typeof window !== "undefined" && !!navigator.mediaDevices?.getUserMedia;
 
+  const constraints = {
+    audio: {
+      ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+      echoCancellation,
+      noiseSuppression,
+    },
+  };
+  const streamKey = JSON.stringify(constraints);
+  const constraintsRef = useRef(constraints);
+  constraintsRef.current = constraints;
+
+  const refreshDevices = useCallback(async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+    const list = await navigator.mediaDevices.enumerateDevices();
+    setDevices(
+      list
+        .filter((d) => d.kind === "audioinput")
+        .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Microphone ${i + 1}` }))
+    );
+  }, []);
+
+  const closeStream = useCallback(() => {
+    meterRef.current?.ctx.close().catch(() => {});
+    meterRef.current = null;
+    streamRef.current?.getTracks().forEach((t) => t.stop());
+    streamRef.current = null;
+    streamKeyRef.current = "";
+    setInputOpen(false);
+  }, []);
+
+  // Keeps the open stream while a segment uses it, even if the requested input changed meanwhile
   const ensureStream = useCallback(async () => {
-    if (streamRef.current) return streamRef.current;
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const key = JSON.stringify(constraintsRef.current);
+    const live = streamRef.current?.getAudioTracks().some((t) => t.readyState === "live");
+    const inUse = phaseRef.current === "recording" || phaseRef.current === "stopping";
+    if (live && (streamKeyRef.current === key || inUse)) {
+      return streamRef.current;
+    }
+    closeStream();
+    const stream = await navigator.mediaDevices.getUserMedia(constraintsRef.current);
     streamRef.current = stream;
+    streamKeyRef.current = key;
+
+    try {
+      const ctx = new AudioContext();
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      ctx.createMediaStreamSource(stream).connect(analyser);
+      ctx.resume().catch(() => {});
+      meterRef.current = { ctx, analyser, buf: new Float32Array(analyser.fftSize) };
+    } catch {
+      meterRef.current = null;
+    }
+    setInputOpen(true);
+    refreshDevices().catch(() => {});
     return stream;
+  }, [closeStream, refreshDevices]);
+
+  // Opens the selected input without recording, so the level can be checked before a session
+  const openInput = useCallback(async () => {
+    if (!isSupported) return false;
+    try {
+      await ensureStream();
+      return true;
+    } catch (e) {
+      setError(String(e?.message || e));
+      return false;
+    }
+  }, [ensureStream, isSupported]);
+
+  const getLevel = useCallback(() => {
+    const meter = meterRef.current;
+    if (!meter) return 0;
+    meter.analyser.getFloatTimeDomainData(meter.buf);
+    let sumSq = 0;
+    for (let i = 0; i < meter.buf.length; i++) sumSq += meter.buf[i] * meter.buf[i];
+    return Math.sqrt(sumSq / meter.buf.length);
   }, []);
 
+  function inputSettings(stream) {
+    const track = stream?.getAudioTracks()[0];
+    const settings = track?.getSettings?.() || {};
+    return {
+      deviceId: settings.deviceId || "",
+      label: track?.label || "",
+      echoCancellation: settings.echoCancellation ?? null,
+      noiseSuppression: settings.noiseSuppression ?? null,
+    };
+  }
+
+  // Reopen an idle input when the selection changes so the meter follows it
+  useEffect(() => {
+    if (streamRef.current && phaseRef.current === "idle") {
+      ensureStream().catch((e) => setError(String(e?.message || e)));
+    }
+  }, [streamKey, ensureStream]);
+
+  useEffect(() => {
+    if (!navigator.mediaDevices?.addEventListener) return undefined;
+    refreshDevices().catch(() => {});
+    const onChange = () => refreshDevices().catch(() => {});
+    navigator.mediaDevices.addEventListener("devicechange", onChange);
+    return () => navigator.mediaDevices.removeEventListener("devicechange", onChange);
+  }, [refreshDevices]);
+
+  // Silence watch runs only while a segment is actually recording (not paused)
+  useEffect(() => {
+    if (!isRecording || isPaused) {
+      setInputSilent(false);
+      return undefined;
+    }
+    let silentSince = null;
+    const timer = setInterval(() => {
+      const now = performance.now();
+      if (getLevel() < silenceThreshold) silentSince ??= now;
+      else silentSince = null;
+      setInputSilent(silentSince != null && now - silentSince >= silenceWarningMs);
+    }, 250);
+    return () => clearInterval(timer);
+  }, [isRecording, isPaused, getLevel, silenceThreshold, silenceWarningMs]);
+
   const startRecording = useCallback(
     async ({ id, meta } = {}) => {
       if (!isSupported) {
         setError("Audio recording is not supported in this browser.");
         return null;
       }
-      if (isRecording) return pendingIdRef.current;
-      setError("");
-
       const recordingId = id || crypto.randomUUID();
+      if (phaseRef.current !== "idle") {
+        callbacksRef.current.onReject?.({ id: recordingId, meta, reason: "overlap", activeId: pendingIdRef.current });
+        return null;
+      }
+      phaseRef.current = "starting";
+      setError("");
 
       try {
         const stream = await ensureStream();
         const recorder = new MediaRecorder(stream);
         const startTs = performance.now();
 
+        const input = inputSettings(stream);
         pendingIdRef.current = recordingId;
         pendingMetaRef.current = meta || null;
         startTsRef.current = startTs;
+        pausesRef.current = [];
         chunksRef.current = [];
+        let seq = 0;
 
         recorder.ondataavailable = (evt) => {
           if (evt.data && evt.data.size > 0) {
             chunksRef.current.push(evt.data);
+            callbacksRef.current.onChunk?.(recordingId, seq++, evt.data);
           }
         };
 
@@ -63,53 +218,118 @@ export default function useAudioRecorder() {
           const blob = new Blob(chunksRef.current, { type: getAudioMimeType(recorder) });
           const url = URL.createObjectURL(blob);
           const durationMs = stopTs - (startTsRef.current ?? stopTs);
+          const pauses = pausesRef.current.map((p) => ({ ...p, resumeTs: p.resumeTs ?? stopTs }));
 
-          setRecordings((prev) => [
-            ...prev,
-            {
-              id: pendingIdRef.current || recordingId,
-              startTs: startTsRef.current ?? startTs,
-              stopTs,
-              durationMs,
-              mimeType: blob.type || getAudioMimeType(recorder),
-              blob,
-              url,
-              meta: pendingMetaRef.current,
-            },
-          ]);
+          const rec = {
+            id: pendingIdRef.current || recordingId,
+            startTs: startTsRef.current ?? startTs,
+            stopTs,
+            durationMs,
+            mimeType: blob.type || getAudioMimeType(recorder),
+            blob,
+            url,
+            meta: pendingMetaRef.current,
+            pauses,
+            input,
+          };
+          setRecordings((prev) => [...prev, rec]);
+          callbacksRef.current.onSegment?.(rec);
 
           pendingIdRef.current = null;
           pendingMetaRef.current = null;
           startTsRef.current = null;
+          pausesRef.current = [];
           chunksRef.current = [];
+          phaseRef.current = "idle";
           setIsRecording(false);
+          setIsPaused(false);
+          stopWaitersRef.current.splice(0).forEach((resolve) => resolve(rec));
         };
 
+        // The segment is dropped: the recorder is stopped without producing one, and the hook is
+        // ready for the next start (a pending stop settles with null)
         recorder.onerror = (evt) => {
+          if (mediaRecorderRef.current !== recorder) return;
           const message = evt?.error?.message || "Audio recorder error.";
           setError(message);
+          recorder.ondataavailable = null;
+          recorder.onstop = null;
+          try {
+            if (recorder.state !== "inactive") recorder.stop();
+          } catch {}
+          mediaRecorderRef.current = null;
+          pendingIdRef.current = null;
+          pendingMetaRef.current = null;
+          startTsRef.current = null;
+          pausesRef.current = [];
+          chunksRef.current = [];
+          phaseRef.current = "idle";
           setIsRecording(false);
+          setIsPaused(false);
+          stopWaitersRef.current.splice(0).forEach((resolve) => resolve(null));
         };
 
-        recorder.start();
+        recorder.start(timesliceMs || undefined);
         mediaRecorderRef.current = recorder;
+        phaseRef.current = "recording";
         setIsRecording(true);
         return recordingId;
       } catch (e) {
+        phaseRef.current = "idle";
         setError(String(e?.message || e));
         setIsRecording(false);
         return null;
       }
     },
-    [ensureStream, isRecording, isSupported]
+    [ensureStream, isSupported, timesliceMs]
   );
 
-  const stopRecording = useCallback(() => {
+  // Resolves with the finished recording once the recorder has flushed, or null if nothing stopped.
+  // With an id, only that segment is stopped.
+  const stopRecording = useCallback((id) => {
     const recorder = mediaRecorderRef.current;
-    if (!recorder) return;
-    if (recorder.state === "recording") {
+    const active = phaseRef.current === "recording" || phaseRef.current === "stopping";
+    if (id != null && (!active || id !== pendingIdRef.current)) {
+      callbacksRef.current.onReject?.({
+        id,
+        meta: null,
+        reason: active ? "mismatch" : "not_recording",
+        activeId: pendingIdRef.current,
+      });
+      return Promise.resolve(null);
+    }
+    if (!recorder || !active) return Promise.resolve(null);
+    if (recorder.state === "inactive" && phaseRef.current === "recording") {
+      phaseRef.current = "idle";
+      return Promise.resolve(null);
+    }
+    const done = new Promise((resolve) => stopWaitersRef.current.push(resolve));
+    if (recorder.state !== "inactive") {
+      phaseRef.current = "stopping";
       recorder.stop();
     }
+    return done;
+  }, []);
+
+  const pauseRecording = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (phaseRef.current !== "recording" || recorder?.state !== "recording") return false;
+    recorder.pause();
+    pausesRef.current.push({ pauseTs: performance.now(), resumeTs: null });
+    setIsPaused(true);
+    callbacksRef.current.onPause?.(pendingIdRef.current);
+    return true;
+  }, []);
+
+  const resumeRecording = useCallback(() => {
+    const recorder = mediaRecorderRef.current;
+    if (phaseRef.current !== "recording" || recorder?.state !== "paused") return false;
+    recorder.resume();
+    const open = pausesRef.current[pausesRef.current.length - 1];
+    if (open && open.resumeTs == null) open.resumeTs = performance.now();
+    setIsPaused(false);
+    callbacksRef.current.onResume?.(pendingIdRef.current);
+    return true;
   }, []);
 
   const clearRecordings = useCallback(() => {
@@ -121,6 +341,20 @@ export default function useAudioRecorder() {
     });
   }, []);
 
+  // Adds recordings that were saved elsewhere (e.g. recovered after a reload)
+  const restoreRecordings = useCallback((list) => {
+    setRecordings((prev) => [...prev, ...list.map((rec) => ({ ...rec, url: URL.createObjectURL(rec.blob) }))]);
+  }, []);
+
+  // { id, startTs } of the segment being recorded (performance.now() clock), or null
+  const getActiveSegment = useCallback(
+    () =>
+      phaseRef.current === "recording" || phaseRef.current === "stopping"
+        ? { id: pendingIdRef.current, startTs: startTsRef.current }
+        : null,
+    []
+  );
+
   const clearError = useCallback(() => {
     setError("");
   }, []);
@@ -128,31 +362,38 @@ export default function useAudioRecorder() {
   useEffect(() => {
     return () => {
       try {
-        if (mediaRecorderRef.current?.state === "recording") {
+        if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
           mediaRecorderRef.current.stop();
         }
       } catch {}
 
       clearRecordings();
-
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach((t) => t.stop());
-        streamRef.current = null;
-      }
+      closeStream();
     };
-  }, [clearRecordings]);
+  }, [clearRecordings, closeStream]);
 
   const latestRecording = recordings.length ? recordings[recordings.length - 1] : null;
 
   return {
     isSupported,
     isRecording,
+    isPaused,
     recordings,
     latestRecording,
     error,
     startRecording,
     stopRecording,
     clearRecordings,
+    restoreRecordings,
+    getActiveSegment,
+    pauseRecording,
+    resumeRecording,
+    devices,
+    refreshDevices,
+    openInput,
+    inputOpen,
+    getLevel,
+    inputSilent,
     clearError,
   };
 }
@@ -0,0 +1,126 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { computeFaceMetrics, createBlinkDetector, createFaceMesh } from "./faceTracking";
+
+// Runs Face Mesh on an existing <video> (the gaze tracker's webcam feed) while enabled.
+// When subscribeFaceResults(onResults) returns an unsubscribe function, the results come from the
+// gaze provider's own Face Mesh instead and no second instance is started on the same video.
+// The latest metrics live in a ref so the sampler can read them without re-rendering.
+export default function useFaceTracking({
+  enabled,
+  getVideoElement,
+  subscribeFaceResults,
+  onBlink,
+  fps = 15,
+  earThreshold = 0.2,
+}) {
+  const [status, setStatus] = useState("off");
+  const [error, setError] = useState("");
+
+  const faceMeshRef = useRef(null);
+  const latestRef = useRef(null);
+  const blinksRef = useRef([]);
+  const detectorRef = useRef(null);
+  const getVideoRef = useRef(getVideoElement);
+  getVideoRef.current = getVideoElement;
+  const subscribeRef = useRef(subscribeFaceResults);
+  subscribeRef.current = subscribeFaceResults;
+  const onBlinkRef = useRef(onBlink);
+  onBlinkRef.current = onBlink;
+
+  useEffect(() => {
+    detectorRef.current = createBlinkDetector({
+      earThreshold,
+      onBlink: (b) => {
+        blinksRef.current.push(b);
+        onBlinkRef.current?.(b);
+      },
+    });
+  }, [earThreshold]);
+
+  useEffect(() => {
+    if (!enabled) {
+      setStatus("off");
+      latestRef.current = null;
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer = null;
+
+    const onResults = (results) => {
+      const ts = performance.now();
+      const landmarks = results.multiFaceLandmarks?.[0];
+      if (!landmarks) {
+        latestRef.current = { ts, face: false };
+        detectorRef.current?.update(null, ts);
+        setStatus("no face");
+        return;
+      }
+      const { width, height } = results.image || {};
+      const metrics = computeFaceMetrics(landmarks, width || 1, height || 1);
+      const blink = detectorRef.current?.update(metrics.ear, ts) ?? false;
+      latestRef.current = { ts, face: true, blink, landmarks, ...metrics };
+      setStatus("tracking");
+    };
+
+    const unsubscribe = subscribeRef.current?.(onResults);
+    if (typeof unsubscribe === "function") {
+      setStatus("loading");
+      return () => {
+        unsubscribe();
+        detectorRef.current?.reset();
+      };
+    }
+
+    (async () => {
+      try {
+        if (!faceMeshRef.current) {
+          setStatus("loading");
+          faceMeshRef.current = await createFaceMesh({ refineLandmarks: false, onResults });
+        } else {
+          faceMeshRef.current.onResults(onResults);
+        }
+        if (cancelled) return;
+
+        const periodMs = Math.max(20, Math.round(1000 / fps));
+        const loop = async () => {
+          if (cancelled) return;
+          const video = getVideoRef.current?.();
+          if (video && video.readyState >= 2) {
+            try {
+              await faceMeshRef.current.send({ image: video });
+            } catch (e) {
+              setError(String(e?.message || e));
+            }
+          }
+          if (!cancelled) timer = setTimeout(loop, periodMs);
+        };
+        loop();
+      } catch (e) {
+        setError(String(e?.message || e));
+        setStatus("error");
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      if (timer) clearTimeout(timer);
+      detectorRef.current?.reset();
+    };
+  }, [enabled, fps]);
+
+  useEffect(() => {
+    return () => {
+      try {
+        faceMeshRef.current?.close();
+      } catch {}
+      faceMeshRef.current = null;
+    };
+  }, []);
+
+  const clearBlinks = useCallback(() => {
+    blinksRef.current = [];
+  }, []);
+
+  return { status, error, latestRef, blinksRef, clearBlinks };
+}
@@ -0,0 +1,242 @@
+// voiceActivity.js
+// - Offline voice activity detection for recorded audio segments (Web Audio, no server)
+// - The clip is decoded and band-passed to the speech band in an OfflineAudioContext, then split
+//   into short frames scored by energy (RMS dB) and zero-crossing rate:
+//     speech frame   energy >= noise floor + thresholdDb, or slightly below that with a high
+//                    zero-crossing rate (unvoiced sounds like "s", "f")
+//     noise floor    low percentile of frame energies, never below floorDb
+//   Speech frames are merged into segments (pauses shorter than minPauseMs are bridged, bursts
+//   shorter than minSpeechMs dropped)
+// - speechCsvRows() places the result on the recording's ts_ms clock so it joins with gaze rows
+
+import { decodeAudioBlob } from "./audioWav";
+import { bareQuestionId } from "./questionBank";
+
+export const DEFAULT_VAD_OPTIONS = {
+  frameMs: 20,
+  hopMs: 10,
+  envelopeMs: 50,
+  lowHz: 80,
+  highHz: 4000,
+  thresholdDb: 10,
+  floorDb: -60,
+  floorPercentile: 0.1,
+  zcrMin: 0.25,
+  zcrMarginDb: 6,
+  minSpeechMs: 120,
+  minPauseMs: 300,
+};
+
+async function decodeSpeechBand(blob, { lowHz, highHz }) {
+  const decoded = await decodeAudioBlob(blob);
+  const ctx = new OfflineAudioContext(1, decoded.length, decoded.sampleRate);
+  const source = ctx.createBufferSource();
+  source.buffer = decoded;
+  const highpass = ctx.createBiquadFilter();
+  highpass.type = "highpass";
+  highpass.frequency.value = lowHz;
+  const lowpass = ctx.createBiquadFilter();
+  lowpass.type = "lowpass";
+  lowpass.frequency.value = Math.min(highHz, decoded.sampleRate / 2 - 1);
+  source.connect(highpass).connect(lowpass).connect(ctx.destination);
+  source.start();
+  const rendered = await ctx.startRendering();
+  return { samples: rendered.getChannelData(0), sampleRate: rendered.sampleRate };
+}
+
+function frameFeatures(samples, sampleRate, frameMs, hopMs) {
+  const frameLen = Math.max(1, Math.round((sampleRate * frameMs) / 1000));
+  const hop = Math.max(1, Math.round((sampleRate * hopMs) / 1000));
+  const frames = [];
+  for (let start = 0; start + frameLen <= samples.length; start += hop) {
+    let sumSq = 0;
+    let crossings = 0;
+    for (let i = start; i < start + frameLen; i++) {
+      sumSq += samples[i] * samples[i];
+      if (i > start && samples[i] >= 0 !== samples[i - 1] >= 0) crossings++;
+    }
+    const rms = Math.sqrt(sumSq / frameLen);
+    frames.push({
+      t_ms: (start * 1000) / sampleRate,
+      db: rms > 0 ? 20 * Math.log10(rms) : -120,
+      zcr: crossings / (frameLen - 1 || 1),
+    });
+  }
+  return frames;
+}
+
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function speechSegments(frames, thresholdDb, opts) {
+  const raw = [];
+  let open = null;
+  frames.forEach((f) => {
+    const speech = f.db >= thresholdDb || (f.db >= thresholdDb - opts.zcrMarginDb && f.zcr >= opts.zcrMin);
+    const end = f.t_ms + opts.frameMs;
+    if (speech) {
+      if (open) open.end_ms = end;
+      else open = { start_ms: f.t_ms, end_ms: end };
+    } else if (open) {
+      raw.push(open);
+      open = null;
+    }
+  });
+  if (open) raw.push(open);
+
+  const merged = [];
+  raw.forEach((seg) => {
+    const prev = merged[merged.length - 1];
+    if (prev && seg.start_ms - prev.end_ms < opts.minPauseMs) prev.end_ms = seg.end_ms;
+    else merged.push({ ...seg });
+  });
+  return merged.filter((seg) => seg.end_ms - seg.start_ms >= opts.minSpeechMs);
+}
+
+function loudnessEnvelope(frames, segments, { envelopeMs, hopMs }) {
+  const perBin = Math.max(1, Math.round(envelopeMs / hopMs));
+  const out = [];
+  for (let i = 0; i < frames.length; i += perBin) {
+    const bin = frames.slice(i, i + perBin);
+    const power = bin.reduce((sum, f) => sum + 10 ** (f.db / 10), 0) / bin.length;
+    const zcr = bin.reduce((sum, f) => sum + f.zcr, 0) / bin.length;
+    const t = bin[0].t_ms;
+    out.push({
+      t_ms: t,
+      rms_db: power > 0 ? 10 * Math.log10(power) : -120,
+      zcr,
+      speech: segments.some((s) => t + envelopeMs / 2 >= s.start_ms && t + envelopeMs / 2 < s.end_ms),
+    });
+  }
+  return out;
+}
+
+// Times in ms from the start of the clip
+export async function analyzeSpeech(blob, options = {}) {
+  const opts = { ...DEFAULT_VAD_OPTIONS, ...options };
+  const { samples, sampleRate } = await decodeSpeechBand(blob, opts);
+  const frames = frameFeatures(samples, sampleRate, opts.frameMs, opts.hopMs);
+  const noiseFloorDb = Math.max(opts.floorDb, percentile(frames.map((f) => f.db), opts.floorPercentile) ?? opts.floorDb);
+  const thresholdDb = noiseFloorDb + opts.thresholdDb;
+  const segments = speechSegments(frames, thresholdDb, opts);
+  const pauses = segments.slice(1).map((s, i) => s.start_ms - segments[i].end_ms);
+
+  return {
+    durationMs: (samples.length * 1000) / sampleRate,
+    noiseFloorDb,
+    thresholdDb,
+    segments,
+    speechOnsetMs: segments.length ? segments[0].start_ms : null,
+    speechOffsetMs: segments.length ? segments[segments.length - 1].end_ms : null,
+    speakingMs: segments.reduce((sum, s) => sum + s.end_ms - s.start_ms, 0),
+    pauseCount: pauses.length,
+    meanPauseMs: pauses.length ? pauses.reduce((a, b) => a + b, 0) / pauses.length : null,
+    envelope: loudnessEnvelope(frames, segments, opts),
+  };
+}
+
+// ts_ms of the latest question_onset for questionId at or before atTsMs (gaze sample rows).
+// Ids are compared bare, so segments from older sessions ("question_q1") still match.
+export function findQuestionOnsetTs(rows, questionId, atTsMs) {
+  const id = bareQuestionId(questionId);
+  if (!id) return null;
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const r = rows[i];
+    if (r.event_type === "question_onset" && bareQuestionId(r.question_id) === id && r.ts_ms <= atTsMs) return r.ts_ms;
+  }
+  return null;
+}
+
+const round = (n) => (n == null ? "" : Math.round(n));
+
+// A paused recording has no audio for the pause, so clip time runs behind the wall clock.
+// pauses: [{ start_ms, end_ms }] in wall ms from the clip start, in order.
+export function clipToWallMs(clipMs, pauses = []) {
+  let paused = 0;
+  for (const p of pauses) {
+    if (clipMs < p.start_ms - paused) break;
+    paused += p.end_ms - p.start_ms;
+  }
+  return clipMs + paused;
+}
+
+// summary: extra audio_segments columns; segmentRows / envelopeRows: one row per speech segment /
+// envelope bin. startTsMs is the clip start and questionOnsetTsMs the question onset on ts_ms.
+export function speechCsvRows(result, { sessionId, segmentId, questionId, startTsMs, questionOnsetTsMs, pauses }) {
+  const ids = { session_id: sessionId, audio_segment_id: segmentId, question_id: questionId || "" };
+  if (result.error) {
+    return { summary: { vad_error: result.error }, segmentRows: [], envelopeRows: [] };
+  }
+  const at = (clipMs) => startTsMs + clipToWallMs(clipMs, pauses);
+  const onsetTs = result.speechOnsetMs != null ? at(result.speechOnsetMs) : null;
+  return {
+    summary: {
+      speech_onset_ms: round(result.speechOnsetMs),
+      speech_onset_ts_ms: round(onsetTs),
+      speech_onset_latency_ms: onsetTs != null && questionOnsetTsMs != null ? round(onsetTs - questionOnsetTsMs) : "",
+      speech_offset_ms: round(result.speechOffsetMs),
+      speaking_time_ms: round(result.speakingMs),
+      speech_segment_count: result.segments.length,
+      pause_count: result.pauseCount,
+      mean_pause_ms: round(result.meanPauseMs),
+      noise_floor_db: result.noiseFloorDb.toFixed(1),
+      vad_threshold_db: result.thresholdDb.toFixed(1),
+      vad_error: "",
+    },
+    segmentRows: result.segments.map((s, i) => ({
+      ...ids,
+      speech_index: i,
+      start_ts_ms: round(at(s.start_ms)),
+      end_ts_ms: round(at(s.end_ms)),
+      duration_ms: round(s.end_ms - s.start_ms),
+      pause_before_ms: i ? round(s.start_ms - result.segments[i - 1].end_ms) : "",
+    })),
+    envelopeRows: result.envelope.map((e) => ({
+      ...ids,
+      ts_ms: round(at(e.t_ms)),
+      rms_db: e.rms_db.toFixed(1),
+      zcr: e.zcr.toFixed(3),
+      speech: e.speech ? 1 : 0,
+    })),
+  };
+}
+
+// Continuous audio mode analyses the one session-long track; these rows split its speech segments
+// (speechCsvRows segmentRows, ts_ms) into the audio marker windows, one row per marker. Speech
+// crossing a window edge is cut at the edge. The noise floor is still the whole track's.
+export function markerSpeechRows(markers, speechRows, samples, trackSummaries = new Map()) {
+  return markers.map((m) => {
+    const ids = {
+      session_id: m.session_id,
+      audio_track_id: m.audio_track_id,
+      marker_id: m.marker_id,
+      question_id: m.question_id || "",
+      start_ts_ms: m.start_ts_ms,
+      stop_ts_ms: m.stop_ts_ms,
+    };
+    const trackError = trackSummaries.has(m.audio_track_id)
+      ? trackSummaries.get(m.audio_track_id).vad_error
+      : "audio track not analysed";
+    if (trackError) return { ...ids, vad_error: trackError };
+
+    const inWindow = speechRows
+      .filter((s) => s.audio_segment_id === m.audio_track_id && s.end_ts_ms > m.start_ts_ms && s.start_ts_ms < m.stop_ts_ms)
+      .map((s) => ({ start: Math.max(s.start_ts_ms, m.start_ts_ms), end: Math.min(s.end_ts_ms, m.stop_ts_ms) }));
+    const pauses = inWindow.slice(1).map((s, i) => s.start - inWindow[i].end);
+    const onsetTs = inWindow.length ? inWindow[0].start : null;
+    const questionOnsetTs = findQuestionOnsetTs(samples, m.question_id, m.start_ts_ms);
+    return {
+      ...ids,
+      speech_onset_ts_ms: round(onsetTs),
+      speech_onset_latency_ms: onsetTs != null && questionOnsetTs != null ? round(onsetTs - questionOnsetTs) : "",
+      speaking_time_ms: round(inWindow.reduce((sum, s) => sum + s.end - s.start, 0)),
+      speech_segment_count: inWindow.length,
+      pause_count: pauses.length,
+      mean_pause_ms: pauses.length ? round(pauses.reduce((a, b) => a + b, 0) / pauses.length) : "",
+      vad_error: "",
+    };
+  });
+}
@@ -0,0 +1,128 @@
+// webcamRecorder.js
+// - Records the webcam stream the gaze provider already has open (no second camera request), so
+//   the video shows exactly what the tracker saw
+// - Video time is counted from the MediaRecorder "start" event, where the file's timeline begins
+// - Frame markers map video time to performance.now() time:
+//     frame   one per frame shown by the provider's <video> (requestVideoFrameCallback), at the
+//             camera capture time when the browser reports it
+//     timer   every fallbackMarkerMs while no frame marker has arrived for frameStaleMs
+//             (requestVideoFrameCallback missing, or the hidden <video> not being painted);
+//             video time is then only the elapsed recorder time
+// - Each marker is handed to onMarker({ ts, videoMs, mediaTimeMs, frameIndex, source })
+// - onChunk(blob, seq) gets each recorder chunk as it arrives, so the caller can back it up
+
+export function videoExtension(mimeType) {
+  const type = (mimeType || "").split(";")[0].trim();
+  if (type.includes("mp4")) return "mp4";
+  if (type.includes("ogg")) return "ogv";
+  return "webm";
+}
+
+function pickVideoMimeType() {
+  if (typeof MediaRecorder === "undefined") return "";
+  const candidates = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"];
+  return candidates.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+}
+
+export default function createWebcamRecorder({
+  video,
+  onMarker,
+  onStart,
+  onChunk,
+  fallbackMarkerMs = 100,
+  frameStaleMs = 500,
+  videoBitsPerSecond = 1_000_000,
+}) {
+  const stream = video?.srcObject;
+  if (!(stream instanceof MediaStream) || !stream.getVideoTracks().length) {
+    throw new Error("The gaze provider has no webcam stream to record");
+  }
+  const mimeType = pickVideoMimeType();
+  const recorder = new MediaRecorder(
+    new MediaStream(stream.getVideoTracks()),
+    mimeType ? { mimeType, videoBitsPerSecond } : { videoBitsPerSecond }
+  );
+  const chunks = [];
+  let startTs = null;
+  let frameHandle = null;
+  let timer = null;
+  let timerIndex = 0;
+  let lastFrameTs = null;
+
+  const mark = (ts, fields) => {
+    if (startTs == null || ts < startTs) return;
+    onMarker?.({ ts, videoMs: ts - startTs, ...fields });
+  };
+
+  const onFrame = (now, metadata) => {
+    lastFrameTs = performance.now();
+    mark(metadata.captureTime ?? now, {
+      mediaTimeMs: metadata.mediaTime != null ? metadata.mediaTime * 1000 : null,
+      frameIndex: metadata.presentedFrames ?? null,
+      source: "frame",
+    });
+    frameHandle = video.requestVideoFrameCallback(onFrame);
+  };
+
+  recorder.ondataavailable = (evt) => {
+    if (!evt.data || evt.data.size === 0) return;
+    chunks.push(evt.data);
+    onChunk?.(evt.data, chunks.length - 1);
+  };
+  recorder.onstart = () => {
+    startTs = performance.now();
+    onStart?.(startTs, recorder.mimeType || mimeType || "video/webm");
+    if (typeof video.requestVideoFrameCallback === "function") {
+      frameHandle = video.requestVideoFrameCallback(onFrame);
+    }
+    timer = setInterval(() => {
+      const now = performance.now();
+      if (now - (lastFrameTs ?? startTs) < frameStaleMs) return;
+      mark(now, { mediaTimeMs: null, frameIndex: timerIndex++, source: "timer" });
+    }, fallbackMarkerMs);
+  };
+
+  function stopMarkers() {
+    if (frameHandle != null) video.cancelVideoFrameCallback?.(frameHandle);
+    frameHandle = null;
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Also settles when the track ends on its own (camera unplugged, provider stopped)
+  const finished = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stopMarkers();
+      if (startTs == null) {
+        resolve(null);
+        return;
+      }
+      const stopTs = performance.now();
+      const settings = stream.getVideoTracks()[0]?.getSettings?.() || {};
+      const type = recorder.mimeType || mimeType || "video/webm";
+      resolve({
+        blob: new Blob(chunks, { type }),
+        mimeType: type,
+        startTs,
+        stopTs,
+        durationMs: stopTs - startTs,
+        width: settings.width ?? (video.videoWidth || null),
+        height: settings.height ?? (video.videoHeight || null),
+        frameRate: settings.frameRate ?? null,
+      });
+    };
+  });
+
+  return {
+    start() {
+      recorder.start(1000);
+    },
+    // Resolves with the finished recording, or null when it never started
+    stop() {
+      stopMarkers();
+      if (startTs == null && recorder.state === "inactive") return Promise.resolve(null);
+      if (recorder.state !== "inactive") recorder.stop();
+      return finished;
+    },
+  };
+}
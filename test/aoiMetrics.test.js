@@ -0,0 +1,66 @@
+// aoiMetrics.test.js
+// Dwell, first-fixation and visit counts per AOI from hand-made samples and fixations
+
+import { describe, expect, it } from "vitest";
+import { computeAoiMetrics } from "../src/aoiMetrics";
+
+const gaze = (t, contentId, questionId = "q1") => ({
+  event_type: "gaze",
+  ts_ms: t,
+  gaze_x_px: 10,
+  gaze_y_px: 10,
+  content_id: contentId,
+  content_type: contentId ? "option" : "",
+  question_id: questionId,
+});
+
+const fixation = (start, duration, contentId) => ({
+  start_ts_ms: start,
+  duration_ms: duration,
+  content_id: contentId,
+  question_id: "q1",
+});
+
+describe("computeAoiMetrics", () => {
+  const rows = [gaze(0, ""), gaze(100, "a"), gaze(200, "a"), gaze(300, "b"), gaze(400, "b"), gaze(500, "a")];
+  const fixations = [fixation(100, 150, "a"), fixation(300, 150, "b"), fixation(500, 120, "a")];
+  const byId = (metrics) => Object.fromEntries(metrics.map((m) => [m.content_id, m]));
+
+  it("weights each sample by the time until the next one", () => {
+    const { a, b } = byId(computeAoiMetrics(rows, fixations));
+    expect(a).toMatchObject({ dwell_ms: 200, dwell_share: "0.4000", sample_count: 3, question_time_ms: 500, content_type: "option" });
+    expect(b).toMatchObject({ dwell_ms: 200, dwell_share: "0.4000", sample_count: 2 });
+  });
+
+  it("times the first fixation from the question's first sample and counts revisits", () => {
+    const { a, b } = byId(computeAoiMetrics(rows, fixations));
+    expect(a).toMatchObject({
+      time_to_first_fixation_ms: 100,
+      first_fixation_duration_ms: 150,
+      fixation_count: 2,
+      visit_count: 2,
+      revisit_count: 1,
+    });
+    expect(b).toMatchObject({ time_to_first_fixation_ms: 300, fixation_count: 1, visit_count: 1, revisit_count: 0 });
+  });
+
+  it("counts consecutive fixations on one AOI as a single visit", () => {
+    const { a } = byId(computeAoiMetrics(rows, [fixation(100, 150, "a"), fixation(260, 100, "a")]));
+    expect(a).toMatchObject({ fixation_count: 2, visit_count: 1, revisit_count: 0 });
+  });
+
+  it("caps a sample's weight at maxGapMs", () => {
+    const [c] = computeAoiMetrics([gaze(0, "c"), gaze(2000, "c"), gaze(2100, "c")], []);
+    expect(c.dwell_ms).toBe(600);
+    expect(computeAoiMetrics([gaze(0, "c"), gaze(2000, "c"), gaze(2100, "c")], [], { maxGapMs: 1000 })[0].dwell_ms).toBe(1100);
+  });
+
+  it("keeps questions apart and leaves fixation fields empty for AOIs that were only glanced at", () => {
+    const metrics = computeAoiMetrics([gaze(0, "a", "q1"), gaze(100, "a", "q2"), gaze(200, "a", "q2")], []);
+    expect(metrics.map((m) => [m.question_id, m.dwell_ms])).toEqual([
+      ["q1", 100],
+      ["q2", 100],
+    ]);
+    expect(metrics[0]).toMatchObject({ time_to_first_fixation_ms: "", first_fixation_duration_ms: "", visit_count: 0 });
+  });
+});
@@ -0,0 +1,58 @@
+// audioWav.test.js
+// The 44-byte PCM header and interleaved 16-bit samples written by encodeWav
+
+import { describe, expect, it } from "vitest";
+import { audioExtension, encodeWav } from "../src/audioWav";
+
+async function readWav(blob) {
+  const view = new DataView(await blob.arrayBuffer());
+  const ascii = (offset) => String.fromCharCode(...[0, 1, 2, 3].map((i) => view.getUint8(offset + i)));
+  return { view, ascii };
+}
+
+describe("encodeWav", () => {
+  it("writes a mono 16-bit PCM header", async () => {
+    const blob = encodeWav([new Float32Array([0, 1, -1, 0.5])], 16000);
+    expect(blob.type).toBe("audio/wav");
+    expect(blob.size).toBe(44 + 8);
+
+    const { view, ascii } = await readWav(blob);
+    expect(ascii(0)).toBe("RIFF");
+    expect(view.getUint32(4, true)).toBe(36 + 8);
+    expect(ascii(8)).toBe("WAVE");
+    expect(ascii(12)).toBe("fmt ");
+    expect(view.getUint32(16, true)).toBe(16);
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(16000);
+    expect(view.getUint32(28, true)).toBe(32000);
+    expect(view.getUint16(32, true)).toBe(2);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(ascii(36)).toBe("data");
+    expect(view.getUint32(40, true)).toBe(8);
+    expect([0, 1, 2, 3].map((i) => view.getInt16(44 + i * 2, true))).toEqual([0, 32767, -32768, 16383]);
+  });
+
+  it("interleaves channels and clips out-of-range samples", async () => {
+    const blob = encodeWav([new Float32Array([0.25, 2]), new Float32Array([-0.25, -2])], 48000);
+    const { view } = await readWav(blob);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(28, true)).toBe(48000 * 4);
+    expect(view.getUint16(32, true)).toBe(4);
+    expect(view.getUint32(40, true)).toBe(8);
+    expect([0, 1, 2, 3].map((i) => view.getInt16(44 + i * 2, true))).toEqual([8191, -8192, 32767, -32768]);
+  });
+
+  it("writes a header only for an empty clip", () => {
+    expect(encodeWav([new Float32Array(0)], 16000).size).toBe(44);
+  });
+});
+
+describe("audioExtension", () => {
+  it("maps recorder mime types to file extensions", () => {
+    expect(audioExtension("audio/webm;codecs=opus")).toBe("webm");
+    expect(audioExtension("audio/ogg")).toBe("ogg");
+    expect(audioExtension("audio/mp4")).toBe("m4a");
+    expect(audioExtension("")).toBe("webm");
+  });
+});
@@ -0,0 +1,94 @@
+// eventDetection.test.js
+// I-VT and I-DT on a synthetic stream: two steady fixations joined by a single jump
+
+import { describe, expect, it } from "vitest";
+import { detectEvents, gazeSamplesFromRows } from "../src/eventDetection";
+
+const gaze = (t, x, y, contentId) => ({
+  event_type: "gaze",
+  ts_ms: t,
+  gaze_x_px: x,
+  gaze_y_px: y,
+  content_id: contentId,
+  question_id: "q1",
+});
+
+// 11 samples every 20 ms at (x, 100 +- 2) from t0, i.e. 200 ms of fixation
+function fixationRows(t0, x, contentId) {
+  return Array.from({ length: 11 }, (_, i) => gaze(t0 + i * 20, x, i % 2 ? 102 : 98, contentId));
+}
+
+const twoFixations = [...fixationRows(0, 100, "option_a"), ...fixationRows(220, 500, "option_b")];
+
+describe("gazeSamplesFromRows", () => {
+  it("keeps gaze rows with coordinates, parses CSV strings and sorts by ts", () => {
+    const rows = [
+      { event_type: "gaze", ts_ms: "40", gaze_x_px: "10", gaze_y_px: "20" },
+      { event_type: "question_onset", ts_ms: 30, gaze_x_px: 1, gaze_y_px: 1 },
+      { event_type: "gaze", ts_ms: 20, gaze_x_px: "", gaze_y_px: "" },
+      { event_type: "gaze", ts_ms: 10, gaze_x_px: 5, gaze_y_px: 6 },
+    ];
+    expect(gazeSamplesFromRows(rows).map((s) => [s.t, s.x, s.y])).toEqual([
+      [10, 5, 6],
+      [40, 10, 20],
+    ]);
+  });
+});
+
+describe.each(["ivt", "idt"])("detectEvents (%s)", (algorithm) => {
+  it("finds both fixations and the saccade between them", () => {
+    const { fixations, saccades, options } = detectEvents(twoFixations, { algorithm });
+    expect(options.algorithm).toBe(algorithm);
+    expect(fixations).toHaveLength(2);
+    expect(fixations[0]).toMatchObject({
+      start_ts_ms: 0,
+      end_ts_ms: 200,
+      duration_ms: 200,
+      x_px: 100,
+      y_px: 100,
+      sample_count: 11,
+      content_id: "option_a",
+      question_id: "q1",
+    });
+    expect(fixations[1]).toMatchObject({ start_ts_ms: 220, end_ts_ms: 420, x_px: 500, content_id: "option_b" });
+    expect(fixations[0]).not.toHaveProperty("firstIndex");
+
+    expect(saccades).toHaveLength(1);
+    expect(saccades[0]).toMatchObject({
+      start_ts_ms: 200,
+      end_ts_ms: 220,
+      duration_ms: 20,
+      start_x_px: 100,
+      end_x_px: 500,
+      amplitude_px: 400,
+      peak_velocity_px_s: 20000,
+      from_content_id: "option_a",
+      to_content_id: "option_b",
+      question_id: "q1",
+    });
+  });
+
+  it("does not join fixations across a tracking gap", () => {
+    const rows = [...fixationRows(0, 100, "option_a"), ...fixationRows(1000, 500, "option_b")];
+    const { fixations, saccades } = detectEvents(rows, { algorithm });
+    expect(fixations.map((f) => f.start_ts_ms)).toEqual([0, 1000]);
+    expect(saccades).toEqual([]);
+  });
+
+  it("drops groups shorter than minFixationMs", () => {
+    const rows = fixationRows(0, 100, "option_a").slice(0, 3);
+    expect(detectEvents(rows, { algorithm }).fixations).toEqual([]);
+  });
+});
+
+describe("detectEvents thresholds", () => {
+  it("I-VT splits where the sample velocity reaches the threshold", () => {
+    // the jump is 400 px in 20 ms = 20000 px/s
+    expect(detectEvents(twoFixations, { velocityThresholdPxPerSec: 30000 }).fixations).toHaveLength(1);
+  });
+
+  it("I-DT extends a window only while its dispersion stays under the threshold", () => {
+    expect(detectEvents(twoFixations, { algorithm: "idt", dispersionThresholdPx: 500 }).fixations).toHaveLength(1);
+    expect(detectEvents(twoFixations, { algorithm: "idt", dispersionThresholdPx: 2 }).fixations).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+// fakeLayout.js
+// - jsdom has no layout: every rect is zero and document.elementFromPoint does not exist
+// - installFakeLayout() stacks every [data-content-id] element in document order as a row of
+//   rowHeight px (x from left, width px wide) and hit-tests elementFromPoint against those rows,
+//   so gaze -> content mapping runs the same code path as in a browser
+// - Also fills in CSS.escape, which the simulated provider uses to find script targets
+
+export function installFakeLayout({ left = 100, top = 100, width = 600, rowHeight = 60, gap = 10 } = {}) {
+  const original = {
+    getBoundingClientRect: Element.prototype.getBoundingClientRect,
+    elementFromPoint: document.elementFromPoint,
+    CSS: globalThis.CSS,
+  };
+
+  const laidOut = () => Array.from(document.querySelectorAll("[data-content-id]"));
+
+  function rectOf(el) {
+    const i = laidOut().indexOf(el);
+    if (i < 0) return new DOMRect(0, 0, 0, 0);
+    return new DOMRect(left, top + i * (rowHeight + gap), width, rowHeight);
+  }
+
+  Element.prototype.getBoundingClientRect = function getBoundingClientRect() {
+    return rectOf(this);
+  };
+
+  // Later elements in document order win, like a child painted over its parent
+  document.elementFromPoint = (x, y) => {
+    const hits = laidOut().filter((el) => {
+      const r = rectOf(el);
+      return x >= r.left && x < r.right && y >= r.top && y < r.bottom;
+    });
+    return hits.length ? hits[hits.length - 1] : document.body;
+  };
+
+  if (!globalThis.CSS?.escape) {
+    globalThis.CSS = { ...globalThis.CSS, escape: (s) => String(s).replace(/[^A-Za-z0-9_-]/g, (c) => `\\${c}`) };
+  }
+
+  return {
+    centerOf(contentId) {
+      const el = document.querySelector(`[data-content-id="${contentId}"]`);
+      const r = rectOf(el);
+      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    },
+    restore() {
+      Element.prototype.getBoundingClientRect = original.getBoundingClientRect;
+      document.elementFromPoint = original.elementFromPoint;
+      globalThis.CSS = original.CSS;
+    },
+  };
+}
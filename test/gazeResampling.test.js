@@ -0,0 +1,62 @@
+// gazeResampling.test.js
+// Fixed-rate resampling of the raw gaze stream and the staleness it reports
+
+import { describe, expect, it } from "vitest";
+import { countValidBetween, nearestByTs, resampleAt } from "../src/gazeResampling";
+
+const sample = (ts, x, y) => ({ ts_ms: ts, gaze_x_px: x, gaze_y_px: y, valid: true });
+const raw = [
+  sample(0, 0, 0),
+  sample(100, 100, 50),
+  { ts_ms: 150, gaze_x_px: null, gaze_y_px: null, valid: false },
+  sample(400, 400, 200),
+];
+
+describe("resampleAt", () => {
+  it("interpolates between the valid samples around t", () => {
+    expect(resampleAt(raw, 50)).toEqual({ x: 50, y: 25, method: "linear", source_ts_ms: 100, age_ms: 50, stale: false });
+  });
+
+  it("takes the closer sample with the nearest method", () => {
+    expect(resampleAt(raw, 60, { method: "nearest" })).toMatchObject({ x: 100, y: 50, method: "nearest", source_ts_ms: 100 });
+    expect(resampleAt(raw, 40, { method: "nearest" })).toMatchObject({ x: 0, source_ts_ms: 0, age_ms: 40 });
+  });
+
+  it("skips invalid rows and falls back to nearest across a gap longer than maxGapMs", () => {
+    expect(resampleAt(raw, 200)).toMatchObject({ x: 100, method: "nearest", source_ts_ms: 100, age_ms: 100, stale: false });
+    expect(resampleAt(raw, 200, { maxGapMs: 400 })).toMatchObject({ x: 200, y: 100, method: "linear", source_ts_ms: 400 });
+  });
+
+  it("holds the last sample once nothing newer has arrived and marks it stale after staleMs", () => {
+    expect(resampleAt(raw, 500)).toMatchObject({ x: 400, method: "hold", age_ms: 100, stale: false });
+    expect(resampleAt(raw, 700)).toMatchObject({ x: 400, method: "hold", age_ms: 300, stale: true });
+  });
+
+  it("reports a time before the first sample as stale", () => {
+    expect(resampleAt(raw, -10)).toMatchObject({ x: 0, method: "nearest", age_ms: null, stale: true });
+  });
+
+  it("returns null without any valid sample", () => {
+    expect(resampleAt([], 0)).toBeNull();
+    expect(resampleAt([raw[2]], 200)).toBeNull();
+  });
+});
+
+describe("nearestByTs", () => {
+  const items = [{ ts_ms: 0 }, { ts_ms: 100 }];
+
+  it("returns the item closest in time, the earlier one on a tie", () => {
+    expect(nearestByTs(items, 50)).toBe(items[0]);
+    expect(nearestByTs(items, 60)).toBe(items[1]);
+    expect(nearestByTs(items, -5)).toBe(items[0]);
+    expect(nearestByTs(items, 500)).toBe(items[1]);
+    expect(nearestByTs([], 0)).toBeNull();
+  });
+});
+
+describe("countValidBetween", () => {
+  it("counts valid rows in (fromTs, toTs]", () => {
+    expect(countValidBetween(raw, 0, 400)).toBe(2);
+    expect(countValidBetween(raw, 100, 399)).toBe(0);
+  });
+});
@@ -0,0 +1,112 @@
+// questionBank.test.js
+// Validation paths, defaults and the migration of legacy question arrays
+
+import { describe, expect, it } from "vitest";
+import { formatBankIssue, loadQuestionBank, parseQuestionBank } from "../src/questionBank";
+import questions from "../src/questions.json";
+import psychometricQuestions from "../src/psychometric_questions.json";
+
+const mcq = (id, extra = {}) => ({ id, type: "mcq", prompt: `Prompt ${id}`, options: ["A", "B"], ...extra });
+
+describe("loadQuestionBank", () => {
+  it.each([
+    ["questions.json", questions],
+    ["psychometric_questions.json", psychometricQuestions],
+  ])("accepts the bundled %s", (_, data) => {
+    const { bank, errors } = loadQuestionBank(data);
+    expect(errors).toEqual([]);
+    expect(bank).not.toBeNull();
+  });
+
+  it("reports each problem with its JSON path", () => {
+    const { bank, questions: loaded, errors } = loadQuestionBank({
+      schemaVersion: 1,
+      questions: [
+        { id: "q 1", type: "mcq", prompt: "", options: ["A"] },
+        { id: "q2", type: "likert", prompt: "How much?", points: 5, anchors: ["Low", "High"] },
+        { id: "q2", type: "slider", prompt: "How far?", min: 5, max: 1 },
+      ],
+    });
+    expect(bank).toBeNull();
+    expect(loaded).toEqual([]);
+    expect(errors.map((e) => e.path)).toEqual([
+      "questions[0].id",
+      "questions[0].prompt",
+      "questions[0].options",
+      "questions[1].anchors",
+      "questions[2].max",
+      "questions[2].id",
+    ]);
+    expect(errors[5].message).toBe('duplicates questions[1].id "q2"');
+  });
+
+  it("rejects an unknown schema version and question type", () => {
+    const { errors } = loadQuestionBank({ schemaVersion: 2, questions: [{ id: "q1", type: "essay", prompt: "Why?" }] });
+    expect(errors.map((e) => e.path)).toEqual(["schemaVersion", "questions[0].type"]);
+  });
+
+  it("validates AOIs in stimulus-relative coordinates", () => {
+    const image = {
+      id: "img",
+      type: "image",
+      prompt: "Look",
+      src: "stimuli/a.png",
+      aois: [
+        { name: "left", rect: [0, 0, 0.5, 1] },
+        { name: "left", polygon: [[0, 0], [1, 0], [0.5, 1]] },
+        { name: "off", rect: [0.8, 0, 0.5, 1] },
+      ],
+    };
+    const { errors } = loadQuestionBank({ schemaVersion: 1, questions: [image] });
+    expect(errors.map(formatBankIssue)).toEqual([
+      'questions[0].aois[1].name duplicates AOI "left"',
+      "questions[0].aois[2].rect must have a positive size and lie inside the stimulus",
+    ]);
+  });
+
+  it("applies bank defaults under each question's own settings", () => {
+    const { questions: loaded, errors } = loadQuestionBank({
+      schemaVersion: 1,
+      defaults: { optionDelayMs: 3000, audioCapture: "onset" },
+      questions: [mcq("q1"), mcq("q2", { optionDelayMs: 0 })],
+    });
+    expect(errors).toEqual([]);
+    expect(loaded.map((q) => [q.optionDelayMs, q.audioCapture])).toEqual([
+      [3000, "onset"],
+      [0, "onset"],
+    ]);
+  });
+});
+
+describe("legacy question arrays", () => {
+  it("migrates to the current version with warnings", () => {
+    const { bank, questions: loaded, errors, warnings } = loadQuestionBank([
+      { id: "q1", prompt: "Pick one", options: ["A", "B"], showOptions: false },
+      { id: "q2", type: "mcq", prompt: "Describe it", responseType: "text", options: ["-", "-"], showOptions: true },
+    ]);
+    expect(errors).toEqual([]);
+    expect(bank.schemaVersion).toBe(1);
+    expect(loaded).toEqual([
+      { id: "q1", type: "mcq", prompt: "Pick one", options: ["A", "B"], showOptions: false },
+      { id: "q2", type: "text", prompt: "Describe it" },
+    ]);
+    expect(warnings.map((w) => w.path)).toEqual(["", "questions[1].options"]);
+  });
+
+  it("still validates the migrated questions", () => {
+    const { errors } = loadQuestionBank([{ id: "q1", prompt: "Pick one", options: ["A"] }]);
+    expect(errors.map(formatBankIssue)).toEqual(["questions[0].options must have at least 2 entries"]);
+  });
+});
+
+describe("parseQuestionBank", () => {
+  it("reports invalid JSON as a bank error", () => {
+    const { bank, errors } = parseQuestionBank("{ \"schemaVersion\": 1,");
+    expect(bank).toBeNull();
+    expect(formatBankIssue(errors[0])).toMatch(/^invalid JSON: /);
+  });
+
+  it("rejects a bank that is not an object", () => {
+    expect(parseQuestionBank("42").errors).toEqual([{ path: "", message: "question bank must be a JSON object" }]);
+  });
+});
@@ -0,0 +1,144 @@
+// simulatedSession.test.jsx
+// Headless end-to-end run: GazeRecorder with the simulated provider in script mode fixates a
+// question prompt and then an option, the option is clicked, and the session export is checked
+// for content ids on gaze rows, the answer row and a CSV that parses back to the same table.
+// @vitest-environment jsdom
+
+import React, { act, useState } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import GazeRecorder from "../src/GazeRecorder";
+import QuestionScreen from "../src/QuestionScreen";
+import { parseCsv, toCsv } from "../src/csv";
+import { installFakeLayout } from "./fakeLayout";
+
+// The camera trackers are never started here; keep their bundles out of the jsdom run
+vi.mock("webgazer", () => ({ default: {} }));
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const BANK = {
+  schemaVersion: 1,
+  questions: [
+    { id: "q1", type: "mcq", prompt: "Pick one", options: ["Red", "Green", "Blue"] },
+    { id: "q2", type: "text", prompt: "Why?" },
+  ],
+};
+
+const SCRIPT = [
+  { contentId: "question_q1", durationMs: 600 },
+  { contentId: "option_q1_1", durationMs: 600 },
+];
+
+function Harness({ onExportHandler }) {
+  const [started, setStarted] = useState(false);
+  const [recordAnswer, setRecordAnswer] = useState(null);
+  const [recordQuestionEvent, setRecordQuestionEvent] = useState(null);
+  return (
+    <div>
+      <GazeRecorder
+        sampleHz={20}
+        gazeProvider="simulated"
+        gazeProviderOptions={{ mode: "script", script: SCRIPT, noisePx: 0, sampleHz: 60, loop: false }}
+        trackFace={false}
+        persistSession={false}
+        validateCalibration={false}
+        onStartRecording={() => setStarted(true)}
+        onRegisterAnswerHandler={(handler) => setRecordAnswer(() => handler)}
+        onRegisterQuestionEventHandler={(handler) => setRecordQuestionEvent(() => handler)}
+        onRegisterExportHandler={onExportHandler}
+      />
+      {started && (
+        <QuestionScreen questionsData={BANK} onAnswer={recordAnswer} onEvent={recordQuestionEvent} disableOptionDelay />
+      )}
+    </div>
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 3000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error("waitFor timed out");
+    await act(() => sleep(20));
+  }
+}
+
+function button(label) {
+  return Array.from(document.querySelectorAll("button")).find((b) => b.textContent.trim() === label);
+}
+
+describe("simulated gaze session", () => {
+  let layout;
+  let container;
+  let root;
+
+  beforeEach(() => {
+    layout = installFakeLayout();
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    layout.restore();
+  });
+
+  it("maps scripted gaze to content ids and exports answer rows as CSV", async () => {
+    let collectExport = null;
+    await act(async () => {
+      root.render(<Harness onExportHandler={(handler) => (collectExport = handler)} />);
+    });
+
+    const start = await waitFor(() => {
+      const b = button("Gaze Recorder Start");
+      return b && !b.disabled ? b : null;
+    });
+    await act(async () => start.click());
+
+    await waitFor(() => document.querySelector('[data-content-id="option_q1_1"]'));
+    await act(() => sleep(1500));
+    await act(async () => document.querySelector('[data-content-id="option_q1_1"]').click());
+    await act(() => sleep(200));
+
+    const { files, manifest } = await collectExport();
+    const sessionFile = files.find((f) => f?.name.startsWith("gaze_session_"));
+    expect(sessionFile).toBeTruthy();
+    expect(manifest.gaze_provider).toBe("simulated:script");
+
+    const rows = parseCsv(toCsv(sessionFile.rows));
+    expect(rows).toHaveLength(sessionFile.rows.length);
+    expect(Object.keys(rows[0])).toEqual(expect.arrayContaining(["ts_ms", "gaze_x_px", "content_id", "question_id"]));
+
+    const gaze = rows.filter((r) => r.event_type === "gaze");
+    const lookedAt = new Set(gaze.map((r) => r.content_id));
+    expect(lookedAt).toContain("question_q1");
+    expect(lookedAt).toContain("option_q1_1");
+
+    const prompt = layout.centerOf("question_q1");
+    const onPrompt = gaze.find((r) => r.content_id === "question_q1");
+    expect(onPrompt.content_type).toBe("question_prompt");
+    expect(onPrompt.question_id).toBe("q1");
+    expect(Number(onPrompt.gaze_x_px)).toBe(Math.round(prompt.x));
+    expect(Number(onPrompt.content_x_norm)).toBeCloseTo(0.5, 2);
+
+    expect(rows.some((r) => r.event_type === "question_onset" && r.question_id === "q1")).toBe(true);
+    const answers = rows.filter((r) => r.event_type === "answer");
+    expect(answers).toHaveLength(1);
+    expect(answers[0]).toMatchObject({
+      question_id: "q1",
+      answer_option_index: "1",
+      answer_option_text: "Green",
+      answer_type: "option",
+    });
+
+    const ts = rows.map((r) => Number(r.ts_ms));
+    expect(ts.every((t) => isFinite(t) && t >= 0)).toBe(true);
+    expect(ts).toEqual([...ts].sort((a, b) => a - b));
+  }, 15000);
+});
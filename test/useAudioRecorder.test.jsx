@@ -0,0 +1,99 @@
+// useAudioRecorder.test.jsx
+// Segment lifecycle against a fake MediaRecorder: a recorder error must leave the hook ready for
+// the next segment and settle a pending stop.
+// @vitest-environment jsdom
+
+import React, { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import useAudioRecorder from "../src/useAudioRecorder";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+class FakeMediaRecorder {
+  static instances = [];
+  static isTypeSupported = () => true;
+
+  constructor(stream) {
+    this.stream = stream;
+    this.state = "inactive";
+    this.mimeType = "audio/webm";
+    FakeMediaRecorder.instances.push(this);
+  }
+
+  start() {
+    this.state = "recording";
+  }
+
+  stop() {
+    this.state = "inactive";
+    this.onstop?.();
+  }
+
+  fail(message) {
+    this.onerror?.({ error: new Error(message) });
+  }
+}
+
+function fakeStream() {
+  const track = { readyState: "live", label: "Fake mic", getSettings: () => ({}), stop() {} };
+  return { getTracks: () => [track], getAudioTracks: () => [track] };
+}
+
+describe("useAudioRecorder", () => {
+  let container;
+  let root;
+  let audio;
+  let rejects;
+
+  function Probe() {
+    audio = useAudioRecorder({ onReject: (info) => rejects.push(info) });
+    return null;
+  }
+
+  beforeEach(async () => {
+    FakeMediaRecorder.instances = [];
+    rejects = [];
+    vi.stubGlobal("MediaRecorder", FakeMediaRecorder);
+    Object.defineProperty(navigator, "mediaDevices", {
+      configurable: true,
+      value: { getUserMedia: async () => fakeStream() },
+    });
+    container = document.createElement("div");
+    root = createRoot(container);
+    await act(async () => root.render(<Probe />));
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    vi.unstubAllGlobals();
+    delete navigator.mediaDevices;
+  });
+
+  it("accepts a new segment after a recorder error and settles the pending stop with null", async () => {
+    let first;
+    await act(async () => {
+      first = await audio.startRecording({ id: "a" });
+    });
+    expect(first).toBe("a");
+
+    const recorder = FakeMediaRecorder.instances[0];
+    recorder.onstop = null; // the stop never flushes, as when the recorder breaks mid-segment
+    let stopped;
+    const pending = audio.stopRecording("a").then((rec) => (stopped = rec));
+    await act(async () => recorder.fail("device lost"));
+    await pending;
+
+    expect(stopped).toBeNull();
+    expect(audio.error).toBe("device lost");
+    expect(audio.isRecording).toBe(false);
+    expect(audio.getActiveSegment()).toBeNull();
+
+    let second;
+    await act(async () => {
+      second = await audio.startRecording({ id: "b" });
+    });
+    expect(second).toBe("b");
+    expect(rejects).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+// voiceActivity.test.js
+// Pure helpers that place speech on the ts_ms clock (no audio decoding)
+
+import { describe, expect, it } from "vitest";
+import { clipToWallMs, findQuestionOnsetTs, markerSpeechRows } from "../src/voiceActivity";
+
+describe("findQuestionOnsetTs", () => {
+  const rows = [
+    { event_type: "question_onset", question_id: "q6", ts_ms: 1000 },
+    { event_type: "gaze", question_id: "q6", ts_ms: 1200 },
+    { event_type: "question_onset", question_id: "q7", ts_ms: 5000 },
+    { event_type: "question_onset", question_id: "q6", ts_ms: 9000 },
+  ];
+
+  it("returns the latest onset of the question at or before the segment start", () => {
+    expect(findQuestionOnsetTs(rows, "q6", 4000)).toBe(1000);
+    expect(findQuestionOnsetTs(rows, "q6", 9500)).toBe(9000);
+    expect(findQuestionOnsetTs(rows, "q7", 4000)).toBeNull();
+  });
+
+  it("matches segments tagged with the prompt content id of older sessions", () => {
+    expect(findQuestionOnsetTs(rows, "question_q6", 4000)).toBe(1000);
+  });
+
+  it("returns null without a question id", () => {
+    expect(findQuestionOnsetTs(rows, "", 4000)).toBeNull();
+  });
+});
+
+describe("clipToWallMs", () => {
+  it("adds the paused time that precedes a clip position", () => {
+    const pauses = [{ start_ms: 1000, end_ms: 3000 }];
+    expect(clipToWallMs(500, pauses)).toBe(500);
+    expect(clipToWallMs(1500, pauses)).toBe(3500);
+  });
+
+  it("accumulates several pauses", () => {
+    const pauses = [
+      { start_ms: 1000, end_ms: 3000 },
+      { start_ms: 4000, end_ms: 5000 },
+    ];
+    expect(clipToWallMs(1900, pauses)).toBe(3900);
+    expect(clipToWallMs(2500, pauses)).toBe(5500);
+  });
+
+  it("leaves clip time unchanged without pauses", () => {
+    expect(clipToWallMs(1234)).toBe(1234);
+  });
+});
+
+describe("markerSpeechRows", () => {
+  const samples = [{ event_type: "question_onset", question_id: "q2", ts_ms: 900 }];
+  const speech = [
+    { audio_segment_id: "track", start_ts_ms: 500, end_ts_ms: 1500 },
+    { audio_segment_id: "track", start_ts_ms: 1800, end_ts_ms: 2200 },
+    { audio_segment_id: "track", start_ts_ms: 4000, end_ts_ms: 4500 },
+  ];
+  const marker = { session_id: "s", audio_track_id: "track", marker_id: "m1", question_id: "q2", start_ts_ms: 1000, stop_ts_ms: 3000 };
+
+  it("cuts the track's speech to the marker window", () => {
+    const [row] = markerSpeechRows([marker], speech, samples, new Map([["track", { vad_error: "" }]]));
+    expect(row).toMatchObject({
+      marker_id: "m1",
+      speech_onset_ts_ms: 1000,
+      speech_onset_latency_ms: 100,
+      speaking_time_ms: 900,
+      speech_segment_count: 2,
+      pause_count: 1,
+      mean_pause_ms: 300,
+      vad_error: "",
+    });
+  });
+
+  it("leaves onset and pause fields empty when the window has no speech", () => {
+    const [row] = markerSpeechRows([{ ...marker, start_ts_ms: 2500, stop_ts_ms: 3500 }], speech, samples, new Map([["track", {}]]));
+    expect(row).toMatchObject({
+      speech_onset_ts_ms: "",
+      speech_onset_latency_ms: "",
+      speaking_time_ms: 0,
+      speech_segment_count: 0,
+      pause_count: 0,
+      mean_pause_ms: "",
+    });
+  });
+
+  it("ignores speech from other tracks", () => {
+    const other = speech.map((s) => ({ ...s, audio_segment_id: "other" }));
+    expect(markerSpeechRows([marker], other, samples, new Map([["track", { vad_error: "" }]]))[0].speech_segment_count).toBe(0);
+  });
+
+  it("reports a track that failed or was not analysed instead of zero speech", () => {
+    expect(markerSpeechRows([marker], [], samples, new Map([["track", { vad_error: "decode failed" }]]))[0].vad_error).toBe(
+      "decode failed"
+    );
+    expect(markerSpeechRows([marker], [], samples)[0].vad_error).toBe("audio track not analysed");
+  });
+});